@@ -14,21 +14,299 @@ import fs from "node:fs";
 import os from "node:os";
 import path from "node:path";
 import crypto from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
 import WebSocket from "ws";
+import YAML from "yaml";
 
 // ─── Config ──────────────────────────────────────────────────────
+//
+// Every setting is declared once in CONFIG_SCHEMA: its key in the config
+// file, its env var, type and default. Values come from the config file
+// (JSON or YAML; --config <path> or LARKSUITE_CONFIG_PATH) and env vars
+// override them. Everything is validated before anything starts, and each
+// error names the file key or env var at fault. Settings marked `reload` are
+// re-read on SIGHUP; sections pick them up through onConfigReload. The rest
+// take effect on restart.
 
-const APP_ID = process.env.LARKSUITE_APP_ID;
-const APP_SECRET = process.env.LARKSUITE_APP_SECRET || tryReadFile(
-  process.env.LARKSUITE_APP_SECRET_PATH || "~/.clawdbot/secrets/larksuite_app_secret"
-);
-const CLAWDBOT_CONFIG_PATH = resolve(process.env.CLAWDBOT_CONFIG_PATH || "~/.moltbot/moltbot.json");
-const CLAWDBOT_AGENT_ID = process.env.CLAWDBOT_AGENT_ID || "main";
-const THINKING_THRESHOLD_MS = Number(process.env.LARKSUITE_THINKING_THRESHOLD_MS ?? 2500);
-const WEBHOOK_PORT = Number(process.env.LARKSUITE_WEBHOOK_PORT || 9000);
-const ENCRYPT_KEY = process.env.LARKSUITE_ENCRYPT_KEY || "";
-const VERIFICATION_TOKEN = process.env.LARKSUITE_VERIFICATION_TOKEN || "";
-const MEDIA_DIR = resolve(process.env.LARKSUITE_MEDIA_DIR || "~/.clawdbot/media/larksuite");
+const CLI_ARGS = process.argv.slice(2);
+const CONFIG_FLAG = CLI_ARGS.indexOf("--config");
+const CLI_COMMAND = CLI_ARGS.find((arg, i) => !arg.startsWith("-") && (CONFIG_FLAG < 0 || i !== CONFIG_FLAG + 1)) || "serve";
+const CONFIG_PATH_GIVEN = (CONFIG_FLAG >= 0 && CLI_ARGS[CONFIG_FLAG + 1]) || process.env.LARKSUITE_CONFIG_PATH || "";
+const CONFIG_PATH = path.resolve(resolve(CONFIG_PATH_GIVEN || "~/.clawdbot/larksuite/bridge.yaml"));
+
+if (CLI_ARGS.includes("--help") || !["serve", "doctor"].includes(CLI_COMMAND)) {
+  process.stderr.write("Usage: openclaw-lark-bridge [serve|doctor] [--config <path>]\n");
+  process.exit(CLI_ARGS.includes("--help") ? 0 : 2);
+}
+
+const DEFAULT_PLATFORM = { darwin: "macos", win32: "windows" }[process.platform] || process.platform;
+const DEFAULT_SMART_VERBS = ["帮", "麻烦", "请", "能否", "可以", "解释", "看看", "排查", "分析", "总结", "写", "改", "修", "查", "对比", "翻译"];
+const GROUP_TRIGGER_MODES = ["mention", "always", "keywords", "smart"];
+const COMMAND_ROLE_ENTRY = /^\/?[\w-]+[:=](user|admin|off)$/i;
+
+const CONFIG_SCHEMA = {
+  "lark.appId": { env: "LARKSUITE_APP_ID", type: "string", required: true },
+  "lark.appSecret": { env: "LARKSUITE_APP_SECRET", type: "string", secret: true },
+  "lark.appSecretPath": { env: "LARKSUITE_APP_SECRET_PATH", type: "path", default: "~/.clawdbot/secrets/larksuite_app_secret" },
+  "lark.domain": { env: "LARKSUITE_DOMAIN", type: "string", default: "lark",
+    check: (v) => ["lark", "feishu"].includes(v) || /^https:\/\/\S+$/.test(v) || 'expected "lark", "feishu" or an https:// URL' },
+  "lark.encryptKey": { env: "LARKSUITE_ENCRYPT_KEY", type: "string", default: "", secret: true },
+  "lark.verificationToken": { env: "LARKSUITE_VERIFICATION_TOKEN", type: "string", default: "", secret: true },
+
+  "webhook.port": { env: "LARKSUITE_WEBHOOK_PORT", type: "int", default: 9000, min: 1, max: 65535 },
+  "webhook.strict": { env: "LARKSUITE_WEBHOOK_STRICT", type: "bool", default: true },
+  "webhook.signatureMaxAgeS": { env: "LARKSUITE_SIGNATURE_MAX_AGE_S", type: "int", default: 300, min: 1 },
+
+  "gateway.configPath": { env: "CLAWDBOT_CONFIG_PATH", type: "path", default: "~/.moltbot/moltbot.json" },
+  "gateway.platform": { env: "LARKSUITE_GATEWAY_PLATFORM", type: "string", default: DEFAULT_PLATFORM },
+  "gateway.runTimeoutS": { env: "LARKSUITE_RUN_TIMEOUT_S", type: "int", default: 600, min: 0, reload: true },
+  "gateway.runIdleTimeoutS": { env: "LARKSUITE_RUN_IDLE_TIMEOUT_S", type: "int", default: 120, min: 0, reload: true },
+  "gateway.breakerThreshold": { env: "LARKSUITE_BREAKER_THRESHOLD", type: "int", default: 3, min: 1, reload: true },
+  "gateway.breakerCooldownS": { env: "LARKSUITE_BREAKER_COOLDOWN_S", type: "int", default: 30, min: 1, reload: true },
+  "gateway.outageBufferMax": { env: "LARKSUITE_OUTAGE_BUFFER_MAX", type: "int", default: 50, min: 0, reload: true },
+  "gateway.outageBufferMaxAgeMin": { env: "LARKSUITE_OUTAGE_BUFFER_MAX_AGE_MIN", type: "int", default: 30, min: 1, reload: true },
+  "gateway.asyncDelivery": { env: "LARKSUITE_ASYNC_DELIVERY", type: "enum", values: ["events", "poll"], default: "events" },
+  "gateway.pollIntervalMs": { env: "POLL_INTERVAL_MS", type: "int", default: 15000, min: 1000 },
+
+  "agent.id": { env: "CLAWDBOT_AGENT_ID", type: "string", default: "main" },
+  "agent.routesPath": { env: "LARKSUITE_AGENT_ROUTES_PATH", type: "path", default: "~/.clawdbot/larksuite/agent-routes.json" },
+
+  "media.dir": { env: "LARKSUITE_MEDIA_DIR", type: "path", default: "~/.clawdbot/media/larksuite" },
+  "media.workspaceDir": { env: "LARKSUITE_WORKSPACE_MEDIA_DIR", type: "path", default: "~/.clawdbot/workspace/media/inbound" },
+  "media.imageAttachments": { env: "LARKSUITE_IMAGE_ATTACHMENTS", type: "bool", default: true, reload: true },
+  "media.maxAttachmentMb": { env: "LARKSUITE_MAX_ATTACHMENT_MB", type: "number", default: 5, min: 0, reload: true },
+  "media.maxInboundFileMb": { env: "LARKSUITE_MAX_INBOUND_FILE_MB", type: "number", default: 20, min: 0, reload: true },
+
+  "state.path": { env: "LARKSUITE_STATE_PATH", type: "path", default: "~/.clawdbot/larksuite/bridge-state.json" },
+  "state.dedupTtlMin": { env: "LARKSUITE_DEDUP_TTL_MIN", type: "int", default: 10, min: 1 },
+
+  "reply.mode": { env: "LARKSUITE_REPLY_MODE", type: "enum", values: ["chat", "reply", "thread"], default: "chat" },
+  "reply.threadSessions": { env: "LARKSUITE_THREAD_SESSIONS", type: "bool", default: false },
+  "reply.buttons": { env: "LARKSUITE_REPLY_BUTTONS", type: "bool", default: true, reload: true },
+  "reply.continuePrompt": { env: "LARKSUITE_CONTINUE_PROMPT", type: "string", default: "請繼續。", reload: true },
+  "reply.thinkingThresholdMs": { env: "LARKSUITE_THINKING_THRESHOLD_MS", type: "int", default: 2500, min: 0, reload: true },
+  "reply.streamPatchIntervalMs": { env: "LARKSUITE_STREAM_PATCH_INTERVAL_MS", type: "int", default: 1000, min: 0, reload: true },
+  "reply.chunkBytes": { env: "LARKSUITE_REPLY_CHUNK_BYTES", type: "int", default: 12000, min: 1000, reload: true },
+  "reply.locale": { env: "LARKSUITE_LOCALE", type: "enum", values: ["zh-TW", "en"], default: "zh-TW", reload: true },
+
+  "group.trigger": { env: "LARKSUITE_GROUP_TRIGGER", type: "enum", values: GROUP_TRIGGER_MODES, default: "mention", reload: true },
+  "group.smartVerbs": { env: "LARKSUITE_GROUP_SMART_VERBS", type: "list", default: DEFAULT_SMART_VERBS, reload: true },
+  "group.context": { env: "LARKSUITE_GROUP_CONTEXT", type: "bool", default: true, reload: true },
+  "group.contextMaxMessages": { env: "LARKSUITE_GROUP_CONTEXT_MAX_MESSAGES", type: "int", default: 30, min: 1, reload: true },
+  "group.contextMaxAgeMin": { env: "LARKSUITE_GROUP_CONTEXT_MAX_AGE_MIN", type: "int", default: 60, min: 1, reload: true },
+  "group.contextMaxChars": { env: "LARKSUITE_GROUP_CONTEXT_MAX_CHARS", type: "int", default: 4000, min: 100, reload: true },
+
+  "queue.maxDepth": { env: "LARKSUITE_QUEUE_MAX_DEPTH", type: "int", default: 10, min: 1, reload: true },
+  "queue.merge": { env: "LARKSUITE_QUEUE_MERGE", type: "bool", default: false, reload: true },
+  "queue.mergeWindowMs": { env: "LARKSUITE_QUEUE_MERGE_WINDOW_MS", type: "int", default: 1500, min: 0, reload: true },
+  "queue.noticeMs": { env: "LARKSUITE_QUEUE_NOTICE_MS", type: "int", default: 10000, min: 0, reload: true },
+
+  "send.rateLimitAppPerS": { env: "LARKSUITE_RATE_LIMIT_APP_PER_S", type: "number", default: 50, min: 0 },
+  "send.rateLimitChatPerS": { env: "LARKSUITE_RATE_LIMIT_CHAT_PER_S", type: "number", default: 5, min: 0 },
+  "send.maxAttempts": { env: "LARKSUITE_SEND_MAX_ATTEMPTS", type: "int", default: 4, min: 1, reload: true },
+  "send.retryBaseMs": { env: "LARKSUITE_SEND_RETRY_BASE_MS", type: "int", default: 500, min: 0, reload: true },
+  "send.deadLetterMax": { env: "LARKSUITE_DEAD_LETTER_MAX", type: "int", default: 200, min: 1 },
+
+  "access.allowedUsers": { env: "LARKSUITE_ALLOWED_USERS", type: "list", default: [], reload: true },
+  "access.deniedUsers": { env: "LARKSUITE_DENIED_USERS", type: "list", default: [], reload: true },
+  "access.allowedChats": { env: "LARKSUITE_ALLOWED_CHATS", type: "list", default: [], reload: true },
+  "access.deniedChats": { env: "LARKSUITE_DENIED_CHATS", type: "list", default: [], reload: true },
+  "access.allowedTenants": { env: "LARKSUITE_ALLOWED_TENANTS", type: "list", default: [], reload: true },
+  "access.admins": { env: "LARKSUITE_ADMINS", type: "list", default: [], reload: true },
+  "access.commandRoles": { env: "LARKSUITE_COMMAND_ROLES", type: "list", default: [], reload: true,
+    check: (v) => v.every((entry) => COMMAND_ROLE_ENTRY.test(entry)) || 'expected entries like "/draw:admin" (roles: user, admin, off)' },
+  "access.deniedMessage": { env: "LARKSUITE_ACCESS_DENIED_MESSAGE", type: "string", default: "🚫 你沒有使用此機器人的權限。", emptyIsValue: true, reload: true },
+  "access.commandDeniedMessage": { env: "LARKSUITE_COMMAND_DENIED_MESSAGE", type: "string", default: "🚫 {command} 僅限管理員使用。", emptyIsValue: true, reload: true },
+  "access.commandDisabledMessage": { env: "LARKSUITE_COMMAND_DISABLED_MESSAGE", type: "string", default: "🚫 {command} 目前已停用。", emptyIsValue: true, reload: true },
+
+  "welcome.message": { env: "LARKSUITE_WELCOME_MESSAGE", type: "string", default: "👋 大家好，我是 {bot}！@我 即可開始對話，輸入 /help 查看可用指令。", emptyIsValue: true, reload: true },
+  "welcome.dmMessage": { env: "LARKSUITE_DM_WELCOME_MESSAGE", type: "string", default: "👋 你好，我是 {bot}！直接傳訊息給我即可開始對話，輸入 /help 查看可用指令。", emptyIsValue: true, reload: true },
+  "welcome.memberMessage": { env: "LARKSUITE_MEMBER_WELCOME_MESSAGE", type: "string", default: "", reload: true },
+
+  "api.keysPath": { env: "LARKSUITE_API_KEYS_PATH", type: "path", default: "~/.clawdbot/secrets/larksuite_api_keys.json" },
+  "api.fileRoots": { env: "LARKSUITE_API_FILE_ROOTS", type: "list", separator: path.delimiter, paths: true,
+    default: (values) => [values["media.dir"], resolve("~/.clawdbot/workspace")] },
+  "api.maxBodyBytes": { env: "LARKSUITE_API_MAX_BODY_BYTES", type: "int", default: 64 * 1024, min: 1024 },
+  "api.auditLog": { env: "LARKSUITE_API_AUDIT_LOG", type: "path", default: "~/.clawdbot/logs/lark-bridge-api-audit.log" },
+
+  "metrics.token": { env: "LARKSUITE_METRICS_TOKEN", type: "string", default: "", secret: true },
+
+  "log.level": { env: "LARKSUITE_LOG_LEVEL", type: "enum", values: ["debug", "info", "warn", "error"], default: "info", reload: true },
+  "log.format": { env: "LARKSUITE_LOG_FORMAT", type: "enum", values: ["json", "pretty"], default: "json", reload: true },
+  "log.redactContent": { env: "LARKSUITE_LOG_REDACT_CONTENT", type: "bool", default: false, reload: true },
+
+  "gemini.apiKey": { env: "GEMINI_API_KEY", type: "string", secret: true },
+  "gemini.apiKeyPath": { env: "GEMINI_API_KEY_PATH", type: "path", default: "~/.openclaw/secrets/gemini_api_key" },
+  "gemini.imageModel": { env: "GEMINI_IMAGE_MODEL", type: "string", default: "gemini-2.0-flash-exp-image-generation", reload: true },
+};
+
+// Turn one raw value (a string from env, any JSON/YAML value from the file)
+// into a typed setting; returns { value } or { error }
+function parseSetting(spec, raw, fromEnv) {
+  const got = `got ${JSON.stringify(raw)}`;
+  switch (spec.type) {
+    case "string":
+    case "path":
+      if (typeof raw !== "string") return { error: `expected a string, ${got}` };
+      return { value: spec.type === "path" ? resolve(raw) : raw };
+    case "int":
+    case "number": {
+      const n = fromEnv && raw.trim() !== "" ? Number(raw) : raw;
+      const valid = typeof n === "number" && (spec.type === "int" ? Number.isInteger(n) : Number.isFinite(n));
+      if (valid && !(n < spec.min) && !(n > spec.max)) return { value: n };
+      const range = spec.max !== undefined ? ` from ${spec.min} to ${spec.max}` : spec.min !== undefined ? ` ≥ ${spec.min}` : "";
+      return { error: `expected ${spec.type === "int" ? "an integer" : "a number"}${range}, ${got}` };
+    }
+    case "bool":
+      if (typeof raw === "boolean") return { value: raw };
+      if (fromEnv && /^(1|true|yes|on)$/i.test(raw)) return { value: true };
+      if (fromEnv && /^(0|false|no|off)$/i.test(raw)) return { value: false };
+      return { error: `expected true or false, ${got}` };
+    case "enum":
+      if (spec.values.includes(raw)) return { value: raw };
+      return { error: `expected one of ${spec.values.join(", ")}, ${got}` };
+    case "list": {
+      const list = fromEnv ? raw.split(spec.separator || /[\s,]+/).filter(Boolean) : raw;
+      if (!Array.isArray(list) || !list.every((item) => typeof item === "string")) return { error: `expected a list of strings, ${got}` };
+      return { value: spec.paths ? list.map(resolve) : list };
+    }
+  }
+  return { error: `unsupported type ${spec.type}` };
+}
+
+function defaultSetting(spec, values) {
+  const value = typeof spec.default === "function" ? spec.default(values) : spec.default;
+  return spec.type === "path" && value ? resolve(value) : value;
+}
+
+// { lark: { appId } } → { "lark.appId": … }; stops at known keys so list and
+// object values stay whole
+function flattenConfig(obj, prefix = "", out = {}) {
+  for (const [k, v] of Object.entries(obj)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === "object" && !Array.isArray(v) && !CONFIG_SCHEMA[key]) flattenConfig(v, key, out);
+    else out[key] = v;
+  }
+  return out;
+}
+
+// "queue.max_depth" or a bare "maxDepth" → "queue.maxDepth"
+function closestSettingKey(key) {
+  const norm = (k) => k.toLowerCase().replace(/[^a-z0-9]/g, "");
+  const last = (k) => norm(k.split(".").pop());
+  return Object.keys(CONFIG_SCHEMA).find((k) => norm(k) === norm(key))
+    || Object.keys(CONFIG_SCHEMA).find((k) => last(k) === last(key));
+}
+
+// Read the file, apply env overrides and validate; never throws. Invalid
+// values fall back to their defaults so callers can still inspect the rest.
+function loadConfig() {
+  const errors = [];
+  let fileValues = {};
+  let fileLoaded = false;
+  if (fs.existsSync(CONFIG_PATH)) {
+    try {
+      const raw = fs.readFileSync(CONFIG_PATH, "utf8");
+      const parsed = /\.ya?ml$/i.test(CONFIG_PATH) ? YAML.parse(raw) : JSON.parse(raw);
+      if (parsed != null && (typeof parsed !== "object" || Array.isArray(parsed))) {
+        throw new Error("expected an object of settings at the top level");
+      }
+      fileValues = flattenConfig(parsed || {});
+      fileLoaded = true;
+    } catch (e) {
+      errors.push(`${CONFIG_PATH}: ${e.message}`);
+    }
+  } else if (CONFIG_PATH_GIVEN) {
+    errors.push(`${CONFIG_PATH}: config file not found`);
+  }
+
+  for (const key of Object.keys(fileValues)) {
+    if (CONFIG_SCHEMA[key]) continue;
+    const suggestion = closestSettingKey(key);
+    errors.push(`${CONFIG_PATH}: unknown setting "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ""}`);
+  }
+
+  const values = {};
+  const sources = {};
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const envRaw = process.env[spec.env];
+    const fromEnv = envRaw !== undefined && (envRaw !== "" || spec.emptyIsValue);
+    const raw = fromEnv ? envRaw : fileValues[key];
+    values[key] = defaultSetting(spec, values);
+    sources[key] = "default";
+    if (raw == null) {
+      if (spec.required) errors.push(`${key} is required (set it in the config file or ${spec.env})`);
+      continue;
+    }
+    const { value, error } = parseSetting(spec, raw, fromEnv);
+    const problem = error || (spec.check && spec.check(value) !== true ? spec.check(value) : null);
+    if (problem) {
+      errors.push(`${fromEnv ? spec.env : `${CONFIG_PATH}: ${key}`}: ${problem}`);
+      continue;
+    }
+    values[key] = value;
+    sources[key] = fromEnv ? "env" : "file";
+  }
+  return { values, sources, errors, fileLoaded };
+}
+
+const loadedConfig = loadConfig();
+const activeConfig = { ...loadedConfig.values };
+const configReloadHooks = [];
+
+function setting(key) {
+  if (!(key in CONFIG_SCHEMA)) throw new Error(`unknown setting ${key}`);
+  return activeConfig[key];
+}
+
+// Register how a section reads its reloadable settings: fn runs now and again
+// after every successful reload
+function onConfigReload(fn) {
+  configReloadHooks.push(fn);
+  fn();
+}
+
+// SIGHUP: re-read the file and apply whatever changed among the reloadable
+// settings. An invalid file is rejected as a whole; changes to settings that
+// need a restart are reported and ignored.
+function reloadConfig() {
+  const { values, errors } = loadConfig();
+  if (errors.length) {
+    for (const error of errors) log.error("CONFIG", `Reload rejected: ${error}`);
+    return;
+  }
+  const changed = Object.keys(CONFIG_SCHEMA)
+    .filter((key) => JSON.stringify(values[key]) !== JSON.stringify(activeConfig[key]));
+  const applied = changed.filter((key) => CONFIG_SCHEMA[key].reload);
+  const pending = changed.filter((key) => !CONFIG_SCHEMA[key].reload);
+  for (const key of applied) activeConfig[key] = values[key];
+  for (const hook of configReloadHooks) hook();
+  log.info("CONFIG", applied.length ? `Reloaded ${applied.join(", ")}` : "Reloaded, nothing changed");
+  if (pending.length) log.warn("CONFIG", `Restart required to apply ${pending.join(", ")}`);
+}
+
+const APP_ID = setting("lark.appId");
+const APP_SECRET = setting("lark.appSecret") || tryReadFile(setting("lark.appSecretPath"));
+const CLAWDBOT_CONFIG_PATH = setting("gateway.configPath");
+const CLAWDBOT_AGENT_ID = setting("agent.id");
+const WEBHOOK_PORT = setting("webhook.port");
+const ENCRYPT_KEY = setting("lark.encryptKey");
+const VERIFICATION_TOKEN = setting("lark.verificationToken");
+const MEDIA_DIR = setting("media.dir");
+const WORKSPACE_MEDIA_DIR = setting("media.workspaceDir");
+const STATE_PATH = setting("state.path");
+const REPLY_MODE = setting("reply.mode");
+const THREAD_SESSIONS = setting("reply.threadSessions");
+
+let THINKING_THRESHOLD_MS, STREAM_PATCH_INTERVAL_MS, REPLY_BUTTONS, CONTINUE_PROMPT, IMAGE_ATTACHMENTS, MAX_GATEWAY_ATTACHMENT_BYTES;
+onConfigReload(() => {
+  THINKING_THRESHOLD_MS = setting("reply.thinkingThresholdMs");
+  STREAM_PATCH_INTERVAL_MS = setting("reply.streamPatchIntervalMs");
+  REPLY_BUTTONS = setting("reply.buttons");
+  CONTINUE_PROMPT = setting("reply.continuePrompt");
+  IMAGE_ATTACHMENTS = setting("media.imageAttachments");
+  MAX_GATEWAY_ATTACHMENT_BYTES = setting("media.maxAttachmentMb") * 1024 * 1024;
+});
 
 // ─── Helpers ─────────────────────────────────────────────────────
 
@@ -45,12 +323,12 @@ function tryReadFile(filePath) {
 function mustRead(filePath, label) {
   const resolved = resolve(filePath);
   if (!fs.existsSync(resolved)) {
-    console.error(`[FATAL] ${label} not found: ${resolved}`);
+    log.error("FATAL", `${label} not found: ${resolved}`);
     process.exit(1);
   }
   const val = fs.readFileSync(resolved, "utf8").trim();
   if (!val) {
-    console.error(`[FATAL] ${label} is empty: ${resolved}`);
+    log.error("FATAL", `${label} is empty: ${resolved}`);
     process.exit(1);
   }
   return val;
@@ -58,11 +336,103 @@ function mustRead(filePath, label) {
 
 const uuid = () => crypto.randomUUID();
 
-// Ensure media directory exists
-if (!fs.existsSync(MEDIA_DIR)) {
-  fs.mkdirSync(MEDIA_DIR, { recursive: true });
+// ─── Logging ─────────────────────────────────────────────────────
+//
+// log.info(tag, msg, fields) writes one line: JSON by default, or a readable
+// line for `tail -f` with LARKSUITE_LOG_FORMAT=pretty. Each line also carries
+// the fields of the current log context: a trace ID assigned when a request
+// arrives, plus the event, chat and gateway run IDs as they become known, so
+// one Lark event can be followed from decryption to delivery. Known secrets,
+// bearer tokens and secret-looking fields are masked; message text is
+// truncated, or reduced to its length with LARKSUITE_LOG_REDACT_CONTENT.
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_TEXT_MAX = 200;
+const SECRET_FIELD = /(secret|token|password|authorization|api_?key|encrypt_?key)$/i;
+const CONTENT_FIELDS = new Set(["text", "prompt", "quote"]);
+
+const logContext = new AsyncLocalStorage();
+const logSecrets = new Set();
+
+// doctor prints its own report; only errors get through as readable lines
+let LOG_LEVEL, LOG_FORMAT, LOG_REDACT_CONTENT;
+onConfigReload(() => {
+  LOG_LEVEL = CLI_COMMAND === "doctor" ? "error" : setting("log.level");
+  LOG_FORMAT = CLI_COMMAND === "doctor" ? "pretty" : setting("log.format");
+  LOG_REDACT_CONTENT = setting("log.redactContent");
+});
+
+const newTraceId = () => crypto.randomBytes(6).toString("hex");
+const currentTraceId = () => logContext.getStore()?.traceId;
+
+// Run fn with extra context fields on every line it logs
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+// Add fields (such as a runId assigned later) to the current context
+function annotateLog(fields) {
+  const store = logContext.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+function addLogSecrets(...values) {
+  for (const value of values) if (value && String(value).length >= 6) logSecrets.add(String(value));
+}
+
+function redactString(str) {
+  let out = str;
+  for (const secret of logSecrets) out = out.split(secret).join("[REDACTED]");
+  return out
+    .replace(/\b(Bearer\s+)[\w.~+/=-]+/gi, "$1[REDACTED]")
+    .replace(/([?&](?:key|token|access_token)=)[^&\s"]+/gi, "$1[REDACTED]")
+    .replace(/\b[tu]-[\w-]{20,}/g, "[REDACTED]");
+}
+
+function redactField(key, value) {
+  if (value == null) return value;
+  if (SECRET_FIELD.test(key)) return "[REDACTED]";
+  if (typeof value === "string") {
+    if (!CONTENT_FIELDS.has(key)) return redactString(value);
+    if (LOG_REDACT_CONTENT) return `[${value.length} chars]`;
+    return redactString(value.length > LOG_TEXT_MAX ? `${value.slice(0, LOG_TEXT_MAX)}…` : value);
+  }
+  if (Array.isArray(value)) return value.map((v) => redactField(key, v));
+  if (typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactField(k, v)]));
+  return value;
+}
+
+function prettyLogLine({ ts, level, tag, msg, ...fields }) {
+  const extras = Object.entries(fields).map(([k, v]) =>
+    `${k}=${typeof v === "string" && !/[\s"=]/.test(v) ? v : JSON.stringify(v)}`);
+  return [ts.replace("T", " ").slice(0, 23), level.toUpperCase().padEnd(5), `[${tag}]`, msg, ...extras].join(" ");
+}
+
+// `err` becomes error (and code); everything else is logged as given
+function writeLog(level, tag, msg, { err, ...fields } = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+  const entry = { ts: new Date().toISOString(), level, tag, msg: String(msg), ...logContext.getStore(), ...fields };
+  if (err) {
+    entry.error = err.message ?? String(err);
+    if (err.code && entry.code === undefined) entry.code = err.code;
+  }
+  for (const key of Object.keys(entry)) {
+    if (entry[key] === undefined) delete entry[key];
+    else entry[key] = redactField(key, entry[key]);
+  }
+  const line = LOG_FORMAT === "pretty" ? prettyLogLine(entry) : JSON.stringify(entry);
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(line + "\n");
 }
 
+const log = {
+  debug: (tag, msg, fields) => writeLog("debug", tag, msg, fields),
+  info: (tag, msg, fields) => writeLog("info", tag, msg, fields),
+  warn: (tag, msg, fields) => writeLog("warn", tag, msg, fields),
+  error: (tag, msg, fields) => writeLog("error", tag, msg, fields),
+};
+
+addLogSecrets(APP_SECRET, ENCRYPT_KEY, VERIFICATION_TOKEN);
+
 // ─── AES Decrypt for Larksuite ───────────────────────────────────
 
 function decryptAES(encryptKey, encryptedData) {
@@ -78,13 +448,11 @@ function decryptAES(encryptKey, encryptedData) {
 
 // ─── Load secrets & config ───────────────────────────────────────
 
-if (!APP_ID) {
-  console.error("[FATAL] LARKSUITE_APP_ID environment variable is required");
-  process.exit(1);
-}
+for (const error of loadedConfig.errors) log.error("FATAL", `Invalid config: ${error}`);
+if (loadedConfig.errors.length) process.exit(1);
 
 if (!APP_SECRET) {
-  console.error("[FATAL] LARKSUITE_APP_SECRET not found");
+  log.error("FATAL", `App secret not found: set lark.appSecret, LARKSUITE_APP_SECRET or ${setting("lark.appSecretPath")}`);
   process.exit(1);
 }
 
@@ -94,33 +462,479 @@ const GATEWAY_PORT = clawdConfig?.gateway?.port || 18789;
 const GATEWAY_TOKEN = clawdConfig?.gateway?.auth?.token;
 
 if (!GATEWAY_TOKEN) {
-  console.error("[FATAL] gateway.auth.token missing in Moltbot config");
+  log.error("FATAL", "gateway.auth.token missing in Moltbot config");
   process.exit(1);
 }
+addLogSecrets(GATEWAY_TOKEN);
+
+log.info("CONFIG", `Config File: ${loadedConfig.fileLoaded ? CONFIG_PATH : "none (env and defaults)"}`);
+log.info("CONFIG", `Encrypt Key: ${ENCRYPT_KEY ? "SET" : "NOT SET"}`);
+log.info("CONFIG", `Verification Token: ${VERIFICATION_TOKEN ? "SET" : "NOT SET"}`);
+if (!ENCRYPT_KEY) log.warn("CONFIG", "Encrypt Key not set — webhook signatures cannot be verified");
+log.info("CONFIG", `Media Dir: ${MEDIA_DIR}`);
+log.info("CONFIG", `Image Delivery: ${IMAGE_ATTACHMENTS ? "attachments" : "workspace"} (workspace: ${WORKSPACE_MEDIA_DIR})`);
+log.info("CONFIG", `State File: ${STATE_PATH}`);
+log.info("CONFIG", `Reply Mode: ${REPLY_MODE}${THREAD_SESSIONS ? " (thread sessions)" : ""}`);
+
+// ─── Metrics ─────────────────────────────────────────────────────
+//
+// A small Prometheus registry: counters and histograms keyed by label values,
+// and gauges read at scrape time. GET /metrics renders it in the text
+// exposition format. Labels stay low-cardinality (no chat or user IDs).
+
+const METRIC_PREFIX = "lark_bridge_";
+const METRICS_TOKEN = setting("metrics.token");
+const metricsRegistry = [];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+const formatLabels = (names, labels) => names.map((n) => `${n}="${escapeLabel(labels[n] ?? "")}"`).join(",");
+const withBraces = (labelStr) => (labelStr ? `{${labelStr}}` : "");
+
+function counter(name, help, labelNames = []) {
+  const values = new Map(); // label string → value
+  const metric = {
+    name: METRIC_PREFIX + name, help, type: "counter",
+    inc(labels = {}, by = 1) {
+      const key = formatLabels(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + by);
+    },
+    render() { return [...values].map(([key, v]) => `${metric.name}${withBraces(key)} ${v}`); },
+  };
+  metricsRegistry.push(metric);
+  return metric;
+}
+
+function histogram(name, help, labelNames, buckets) {
+  const values = new Map(); // label string → { counts, sum, count }
+  const metric = {
+    name: METRIC_PREFIX + name, help, type: "histogram",
+    observe(labels, value) {
+      const key = formatLabels(labelNames, labels);
+      const entry = values.get(key) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((b, i) => { if (value <= b) entry.counts[i] += 1; });
+      entry.sum += value;
+      entry.count += 1;
+      values.set(key, entry);
+    },
+    render() {
+      const lines = [];
+      for (const [key, { counts, sum, count }] of values) {
+        const sep = key ? `${key},` : "";
+        buckets.forEach((b, i) => lines.push(`${metric.name}_bucket{${sep}le="${b}"} ${counts[i]}`));
+        lines.push(`${metric.name}_bucket{${sep}le="+Inf"} ${count}`);
+        lines.push(`${metric.name}_sum${withBraces(key)} ${sum}`);
+        lines.push(`${metric.name}_count${withBraces(key)} ${count}`);
+      }
+      return lines;
+    },
+  };
+  metricsRegistry.push(metric);
+  return metric;
+}
+
+// `read` returns a number, or [labels, value] pairs for a labelled gauge
+function gauge(name, help, read, labelNames = []) {
+  const metric = {
+    name: METRIC_PREFIX + name, help, type: "gauge",
+    render() {
+      const value = read();
+      if (!Array.isArray(value)) return [`${metric.name} ${Number(value) || 0}`];
+      return value.map(([labels, v]) => `${metric.name}${withBraces(formatLabels(labelNames, labels))} ${Number(v) || 0}`);
+    },
+  };
+  metricsRegistry.push(metric);
+  return metric;
+}
+
+function renderMetrics() {
+  const lines = [];
+  for (const metric of metricsRegistry) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render());
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Label values that come from request bodies are clamped to a fixed set, so a
+// caller can't mint a new time series per request
+const KNOWN_MESSAGE_TYPES = new Set(["text", "image", "post", "file", "audio", "media", "sticker",
+  "share_chat", "share_user", "location", "merge_forward", "interactive"]);
 
-console.log(`[CONFIG] Encrypt Key: ${ENCRYPT_KEY ? "SET" : "NOT SET"}`);
-console.log(`[CONFIG] Verification Token: ${VERIFICATION_TOKEN ? "SET" : "NOT SET"}`);
-console.log(`[CONFIG] Media Dir: ${MEDIA_DIR}`);
+const webhookEventsTotal = counter("webhook_events_total", "Webhook requests accepted, by event type", ["type"]);
+const dedupHitsTotal = counter("dedup_hits_total", "Inbound messages skipped as duplicates");
+const messagesReceivedTotal = counter("messages_received_total", "Inbound messages, by Lark message type", ["type"]);
+const gatewayRunSeconds = histogram("gateway_run_duration_seconds", "Time from chat.send to the end of the agent run, by outcome",
+  ["outcome"], [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600]);
+const thinkingPlaceholdersTotal = counter("thinking_placeholders_total", "Turns slow enough to show the Thinking… card");
+const larkApiErrorsTotal = counter("lark_api_errors_total", "Failed Lark API attempts (including retried ones), by operation and code", ["op", "code"]);
+const mediaUploadsTotal = counter("media_uploads_total", "Files uploaded to Lark, by kind", ["kind"]);
+const mediaUploadBytesTotal = counter("media_upload_bytes_total", "Bytes uploaded to Lark, by kind", ["kind"]);
+const asyncDeliveriesTotal = counter("async_deliveries_total", "Async (poller/event) reply deliveries, by outcome", ["outcome"]);
 
 // ─── Larksuite SDK setup ─────────────────────────────────────────
 
+// The SDK logs through our logger so its lines are structured and redacted too
+const sdkLogArgs = (args) => args.flat().map((a) => {
+  if (typeof a === "string") return a;
+  if (a instanceof Error) return a.message;
+  try { return JSON.stringify(a); } catch { return String(a); }
+}).join(" ");
+
 const sdkConfig = {
   appId: APP_ID,
   appSecret: APP_SECRET,
-  domain: lark.Domain.Lark,
+  domain: { lark: lark.Domain.Lark, feishu: lark.Domain.Feishu }[setting("lark.domain")] || setting("lark.domain"),
   appType: lark.AppType.SelfBuild,
+  loggerLevel: lark.LoggerLevel[LOG_LEVEL],
+  logger: {
+    error: (...args) => log.error("SDK", sdkLogArgs(args)),
+    warn: (...args) => log.warn("SDK", sdkLogArgs(args)),
+    info: (...args) => log.info("SDK", sdkLogArgs(args)),
+    debug: (...args) => log.debug("SDK", sdkLogArgs(args)),
+    trace: (...args) => log.debug("SDK", sdkLogArgs(args)),
+  },
 };
 
 const client = new lark.Client(sdkConfig);
 
+// ─── Outbound Dispatcher ─────────────────────────────────────────
+//
+// Every Lark write (messages, replies, card patches, deletes, uploads) goes
+// through larkCall(), which
+//   - waits for a token from the app-wide bucket and, for chat-bound calls,
+//     the chat's bucket (Lark limits both),
+//   - runs calls for the same chat one at a time, in the order they were
+//     made, so a retry can't let a later message overtake an earlier one,
+//   - retries rate limits, 5xx and network errors with exponential backoff
+//     (honouring x-ogw-ratelimit-reset when Lark sends it).
+// A Lark error code in an otherwise successful response counts as a failure.
+
+const RATE_LIMIT_APP_PER_S = setting("send.rateLimitAppPerS");
+const RATE_LIMIT_CHAT_PER_S = setting("send.rateLimitChatPerS");
+let SEND_MAX_ATTEMPTS, SEND_RETRY_BASE_MS;
+onConfigReload(() => {
+  SEND_MAX_ATTEMPTS = setting("send.maxAttempts");
+  SEND_RETRY_BASE_MS = setting("send.retryBaseMs");
+});
+const SEND_RETRY_MAX_MS = 30 * 1000;
+// Frequency limits: app-wide, per chat, and message sending
+const RETRYABLE_LARK_CODES = new Set([99991400, 230020, 11232]);
+const RETRYABLE_NETWORK_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ECONNABORTED", "EAI_AGAIN", "EPIPE"]);
+const CHAT_BUCKET_IDLE_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function createTokenBucket(perSecond) {
+  const capacity = Math.max(1, perSecond);
+  let tokens = capacity;
+  let refilledAt = Date.now();
+  return {
+    usedAt: 0,
+    // ms to wait before a token is free; takes it when that is 0
+    take() {
+      const now = Date.now();
+      tokens = Math.min(capacity, tokens + ((now - refilledAt) / 1000) * perSecond);
+      refilledAt = now;
+      this.usedAt = now;
+      if (tokens >= 1) {
+        tokens -= 1;
+        return 0;
+      }
+      return Math.ceil(((1 - tokens) / perSecond) * 1000);
+    },
+  };
+}
+
+const appBucket = createTokenBucket(RATE_LIMIT_APP_PER_S);
+const chatBuckets = new Map(); // chatId → token bucket
+const chatLanes = new Map();   // chatId → tail of the chat's call chain
+
+async function acquireToken(bucket) {
+  for (let wait = bucket.take(); wait > 0; wait = bucket.take()) await sleep(wait);
+}
+
+function chatBucket(chatId) {
+  if (chatBuckets.size > 1000) {
+    const idle = Date.now() - CHAT_BUCKET_IDLE_MS;
+    for (const [id, b] of chatBuckets) if (b.usedAt < idle) chatBuckets.delete(id);
+  }
+  if (!chatBuckets.has(chatId)) chatBuckets.set(chatId, createTokenBucket(RATE_LIMIT_CHAT_PER_S));
+  return chatBuckets.get(chatId);
+}
+
+// Lark's error code, from the HTTP error body or a code in a 200 response
+const larkCodeOf = (e) => e?.response?.data?.code ?? e?.larkCode;
+
+function describeLarkError(e) {
+  const code = larkCodeOf(e);
+  const msg = e?.response?.data?.msg || e?.message || String(e);
+  return code ? `${code} ${msg}` : msg;
+}
+
+// Backoff before the next attempt, or null if the error isn't worth retrying
+function retryDelay(e, attempt) {
+  const status = e?.response?.status;
+  const retryable = status === 429 || status >= 500
+    || RETRYABLE_LARK_CODES.has(larkCodeOf(e))
+    || RETRYABLE_NETWORK_CODES.has(e?.code);
+  if (!retryable) return null;
+  const reset = Number(e?.response?.headers?.["x-ogw-ratelimit-reset"]);
+  if (reset > 0) return Math.min(reset * 1000, SEND_RETRY_MAX_MS);
+  const backoff = Math.min(SEND_RETRY_BASE_MS * 2 ** (attempt - 1), SEND_RETRY_MAX_MS);
+  return backoff + Math.floor(Math.random() * SEND_RETRY_BASE_MS);
+}
+
+function inChatLane(chatId, task) {
+  const run = (chatLanes.get(chatId) || Promise.resolve()).then(task);
+  const tail = run.catch(() => {});
+  chatLanes.set(chatId, tail);
+  tail.then(() => { if (chatLanes.get(chatId) === tail) chatLanes.delete(chatId); });
+  return run;
+}
+
+// Run one Lark API call under the rate limits, retrying transient failures.
+// `label` names the call in logs; `chatId` binds it to a chat's bucket and lane.
+function larkCall(label, call, { chatId = "" } = {}) {
+  const attemptAll = async () => {
+    for (let attempt = 1; ; attempt++) {
+      if (RATE_LIMIT_APP_PER_S > 0) await acquireToken(appBucket);
+      if (chatId && RATE_LIMIT_CHAT_PER_S > 0) await acquireToken(chatBucket(chatId));
+      try {
+        const res = await call();
+        if (res?.code) throw Object.assign(new Error(res.msg || `Lark error ${res.code}`), { larkCode: res.code });
+        return res;
+      } catch (e) {
+        larkApiErrorsTotal.inc({ op: label, code: String(larkCodeOf(e) ?? e?.response?.status ?? e?.code ?? "unknown") });
+        const delay = retryDelay(e, attempt);
+        if (delay === null || attempt >= SEND_MAX_ATTEMPTS) throw e;
+        log.warn("SEND", `${label}${chatId ? ` to ${chatId}` : ""} failed (${describeLarkError(e)}), retry ${attempt}/${SEND_MAX_ATTEMPTS - 1} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  };
+  return chatId ? inChatLane(chatId, attemptAll) : attemptAll();
+}
+
+// ─── Outbound Messages ───────────────────────────────────────────
+//
+// Everything the bot posts goes through sendMessage(). `to` is a chat ID or a
+// reply target { chatId, replyTo, inThread }: the latter answers a specific
+// message with the reply API (in its topic thread when inThread is set), and
+// falls back to a plain chat message if that message is gone. A message that
+// still can't be sent after retries is kept in the dead-letter queue (see
+// Dead Letters) unless the caller passes { deadLetter: false } — e.g. for
+// placeholders that mean nothing later.
+
+const chatOf = (to) => (typeof to === "string" ? to : to.chatId);
+
+async function sendMessage(to, message, { deadLetter = true } = {}) {
+  try {
+    return await deliverMessage(to, message);
+  } catch (e) {
+    if (deadLetter) e.deadLetterId = addDeadLetter(to, message, e);
+    throw e;
+  }
+}
+
+// Each request carries a uuid, which Lark uses to drop repeats, so a retried
+// send can't post twice
+async function deliverMessage(to, message) {
+  const chatId = chatOf(to);
+  if (typeof to === "object" && to.replyTo) {
+    const key = uuid();
+    try {
+      return await larkCall("reply", () => client.im.message.reply({
+        path: { message_id: to.replyTo },
+        data: { ...message, reply_in_thread: Boolean(to.inThread), uuid: key },
+      }), { chatId });
+    } catch (e) {
+      if (retryDelay(e, 1) !== null) throw e;
+      log.warn("MSG", `Reply to ${to.replyTo} failed (${describeLarkError(e)}), sending to chat instead`);
+    }
+  }
+  const key = uuid();
+  return larkCall("send", () => client.im.message.create({
+    params: { receive_id_type: "chat_id" },
+    data: { receive_id: chatId, ...message, uuid: key },
+  }), { chatId });
+}
+
+// ─── Persistent State ────────────────────────────────────────────
+//
+// Maps registered here are loaded from STATE_PATH at startup and written back
+// (debounced, atomically via temp file + rename) whenever saveStateSoon() is
+// called. Entries older than a store's TTL are dropped on load and save.
+
+const STATE_SAVE_DELAY_MS = 1000;
+const stateStores = new Map(); // name → { map, ttlMs, timestampOf, maxEntries }
+let stateSaveTimer = null;
+
+const loadedState = (() => {
+  if (!fs.existsSync(STATE_PATH)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(STATE_PATH, "utf8")) || {};
+  } catch (e) {
+    const corruptPath = `${STATE_PATH}.corrupt-${Date.now()}`;
+    log.error("STATE", `Failed to load ${STATE_PATH} (${e.message}), moved to ${corruptPath}`);
+    try { fs.renameSync(STATE_PATH, corruptPath); } catch {}
+    return {};
+  }
+})();
+
+function compactStore({ map, ttlMs, timestampOf, maxEntries }) {
+  if (ttlMs) {
+    const cutoff = Date.now() - ttlMs;
+    for (const [k, v] of map) {
+      if (timestampOf(v) < cutoff) map.delete(k);
+    }
+  }
+  // Oldest entries (insertion order) go first once a store is over its cap
+  if (maxEntries) {
+    for (const k of map.keys()) {
+      if (map.size <= maxEntries) break;
+      map.delete(k);
+    }
+  }
+}
+
+// Register a Map to be persisted under `name`; restores saved entries into it
+function registerState(name, map, { ttlMs = 0, timestampOf = (v) => v, maxEntries = 0 } = {}) {
+  const store = { map, ttlMs, timestampOf, maxEntries };
+  stateStores.set(name, store);
+  const saved = loadedState[name];
+  if (Array.isArray(saved)) {
+    for (const [k, v] of saved) map.set(k, v);
+    compactStore(store);
+  }
+  return map;
+}
+
+function saveState() {
+  clearTimeout(stateSaveTimer);
+  stateSaveTimer = null;
+  const data = { version: 1, savedAt: Date.now() };
+  for (const [name, store] of stateStores) {
+    compactStore(store);
+    data[name] = [...store.map];
+  }
+  const tmpPath = `${STATE_PATH}.${process.pid}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(STATE_PATH), { recursive: true });
+    const fd = fs.openSync(tmpPath, "w");
+    try {
+      fs.writeSync(fd, JSON.stringify(data));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, STATE_PATH);
+  } catch (e) {
+    log.error("STATE", "Failed to save state", { err: e });
+    try { fs.unlinkSync(tmpPath); } catch {}
+  }
+}
+
+function saveStateSoon() {
+  if (!stateSaveTimer) stateSaveTimer = setTimeout(saveState, STATE_SAVE_DELAY_MS);
+}
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    if (stateSaveTimer) saveState();
+    process.exit(0);
+  });
+}
+
+// ─── Dead Letters ────────────────────────────────────────────────
+//
+// Messages that failed for good are persisted with their target and error so
+// an admin can look at them and send them again (/dlq, or the dead-letters
+// REST API). A replay that fails again stays in the queue with the new error.
+
+const DEAD_LETTER_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const DEAD_LETTER_MAX = setting("send.deadLetterMax");
+const deadLetters = registerState("deadLetters", new Map(), {
+  ttlMs: DEAD_LETTER_TTL_MS,
+  timestampOf: (d) => d.ts,
+  maxEntries: DEAD_LETTER_MAX,
+});
+
+function addDeadLetter(to, message, error) {
+  const id = uuid().slice(0, 8);
+  deadLetters.set(id, { ts: Date.now(), to, message, error: describeLarkError(error), replays: 0 });
+  compactStore(stateStores.get("deadLetters"));
+  saveStateSoon();
+  log.error("DLQ", `${message.msg_type} to ${chatOf(to)} dead-lettered as ${id}: ${describeLarkError(error)}`);
+  return id;
+}
+
+function listDeadLetters(chatAllowed = () => true) {
+  return [...deadLetters]
+    .filter(([, d]) => chatAllowed(chatOf(d.to)))
+    .map(([id, d]) => ({ id, ts: d.ts, chat_id: chatOf(d.to), msg_type: d.message.msg_type, error: d.error, replays: d.replays }));
+}
+
+// Resend one dead letter; true if it went out (and left the queue)
+async function replayDeadLetter(id) {
+  const entry = deadLetters.get(id);
+  if (!entry) return false;
+  try {
+    await deliverMessage(entry.to, entry.message);
+    deadLetters.delete(id);
+    log.info("DLQ", `Replayed ${id} to ${chatOf(entry.to)}`);
+    return true;
+  } catch (e) {
+    entry.replays += 1;
+    entry.error = describeLarkError(e);
+    log.error("DLQ", `Replay of ${id} failed: ${entry.error}`);
+    return false;
+  } finally {
+    saveStateSoon();
+  }
+}
+
+// Replays ids in order (oldest first for "all"); returns { sent, failed }
+async function replayDeadLetters(ids) {
+  const result = { sent: [], failed: [] };
+  for (const id of ids) (await replayDeadLetter(id) ? result.sent : result.failed).push(id);
+  return result;
+}
+
+function dropDeadLetters(ids) {
+  const dropped = ids.filter((id) => deadLetters.delete(id));
+  if (dropped.length) saveStateSoon();
+  return dropped;
+}
+
+const DLQ_USAGE = `用法：
+/dlq — 列出發送失敗的訊息
+/dlq replay <id|all> — 重新發送
+/dlq drop <id|all> — 刪除`;
+
+// /dlq for admins; returns the reply text
+async function handleDlqCommand(text, senderIds) {
+  if (!isAdmin(senderIds)) return "🚫 只有機器人管理員可以管理發送失敗的訊息。";
+  const [, action, target] = text.trim().split(/\s+/);
+  if (!action || action === "list") {
+    const entries = listDeadLetters();
+    if (entries.length === 0) return "📭 沒有發送失敗的訊息。";
+    const lines = entries.slice(-20).map((d) => `• ${d.id} ${new Date(d.ts).toISOString().slice(0, 16).replace("T", " ")} ${d.chat_id} ${d.msg_type} — ${d.error}${d.replays ? `（已重送 ${d.replays} 次）` : ""}`);
+    return `📮 發送失敗的訊息（${entries.length}）：\n${lines.join("\n")}\n\n${DLQ_USAGE}`;
+  }
+  if ((action !== "replay" && action !== "drop") || !target) return DLQ_USAGE;
+  const ids = target === "all" ? [...deadLetters.keys()] : [target];
+  if (target !== "all" && !deadLetters.has(target)) return `⚠️ 找不到 ${target}`;
+  if (action === "drop") return `🗑 已刪除 ${dropDeadLetters(ids).length} 則。`;
+  const { sent, failed } = await replayDeadLetters(ids);
+  return `📤 已重送 ${sent.length} 則${failed.length ? `，${failed.length} 則仍失敗：${failed.join(", ")}` : ""}。`;
+}
+
 // ─── Dedup ───────────────────────────────────────────────────────
 
-const seen = new Map();
-const SEEN_TTL_MS = 10 * 60 * 1000;
+const SEEN_TTL_MS = setting("state.dedupTtlMin") * 60 * 1000;
+const seen = registerState("seen", new Map(), { ttlMs: SEEN_TTL_MS });
 
 // Session reset overrides: chatId → suffix (used to create new sessionKey)
-const sessionOverrides = new Map();
-const activeHandleSessions = new Set(); // chatIds currently being processed by handleMessage
+const sessionOverrides = registerState("sessionOverrides", new Map());
 
 function isDuplicate(messageId) {
   const now = Date.now();
@@ -130,21 +944,63 @@ function isDuplicate(messageId) {
   if (!messageId) return false;
   if (seen.has(messageId)) return true;
   seen.set(messageId, now);
+  saveStateSoon();
   return false;
 }
 
-// ─── Image Handling ──────────────────────────────────────────────
+// ─── Message Resources ───────────────────────────────────────────
+
+let MAX_INBOUND_FILE_BYTES;
+onConfigReload(() => { MAX_INBOUND_FILE_BYTES = setting("media.maxInboundFileMb") * 1024 * 1024; });
+
+const formatMB = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// Inbound downloads and their workspace copies are deleted a day after they
+// arrive — as long as the reply buttons (Regenerate re-sends them) last
+const INBOUND_FILE_TTL_MS = 24 * 60 * 60 * 1000;
+const INBOUND_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const inboundFiles = registerState("inboundFiles", new Map()); // path → written at
+
+function trackInboundFile(filePath) {
+  inboundFiles.set(filePath, Date.now());
+  saveStateSoon();
+}
+
+function sweepInboundFiles() {
+  const cutoff = Date.now() - INBOUND_FILE_TTL_MS;
+  let removed = 0;
+  for (const [filePath, ts] of inboundFiles) {
+    if (ts >= cutoff) continue;
+    inboundFiles.delete(filePath);
+    try { fs.unlinkSync(filePath); removed += 1; } catch {}
+  }
+  if (removed) {
+    log.info("FILE", `Removed ${removed} inbound file(s) older than ${INBOUND_FILE_TTL_MS / 3600000}h`);
+    saveStateSoon();
+  }
+}
+
+// Keep the original name readable but safe to use as a path component
+function safeFileName(name) {
+  return path.basename(String(name || "")).replace(/[^\p{L}\p{N}._-]+/gu, "_").slice(-120) || "file";
+}
 
-async function downloadImage(messageId, imageKey) {
+// Download a message resource (type "image" or "file") into MEDIA_DIR.
+// Returns { path, size } or { error } — "too_large" when over the size limit.
+async function downloadResource(messageId, fileKey, { type, filename }) {
+  const filepath = path.join(MEDIA_DIR, filename);
   try {
     const response = await client.im.messageResource.get({
-      path: { message_id: messageId, file_key: imageKey },
-      params: { type: "image" },
+      path: { message_id: messageId, file_key: fileKey },
+      params: { type },
     });
-    
-    const filename = `${imageKey}.png`;
-    const filepath = path.join(MEDIA_DIR, filename);
-    
+
+    const declared = Number(response?.headers?.["content-length"] || 0);
+    if (declared > MAX_INBOUND_FILE_BYTES) {
+      log.warn("FILE", `Rejected ${fileKey}: ${declared} bytes exceeds limit`);
+      return { error: "too_large", size: declared };
+    }
+
     // Lark SDK returns { writeFile, getReadableStream, headers }
     if (typeof response?.writeFile === 'function') {
       await response.writeFile(filepath);
@@ -159,30 +1015,36 @@ async function downloadImage(messageId, imageKey) {
     } else if (response?.data) {
       fs.writeFileSync(filepath, Buffer.isBuffer(response.data) ? response.data : Buffer.from(response.data));
     } else {
-      console.error(`[ERROR] Unknown response format for image ${imageKey}:`, Object.keys(response || {}));
-      return null;
+      log.error("ERROR", `Unknown response format for ${type} ${fileKey}`, { keys: Object.keys(response || {}) });
+      return { error: "unknown_response" };
     }
-    
+
     const size = fs.statSync(filepath).size;
-    console.log(`[IMAGE] Downloaded: ${filepath} (${size} bytes)`);
+    log.info(type === "image" ? "IMAGE" : "FILE", `Downloaded: ${filepath} (${size} bytes)`);
     if (size === 0) {
-      console.error(`[ERROR] Downloaded image is empty: ${filepath}`);
+      log.error("ERROR", `Downloaded ${type} is empty: ${filepath}`);
+      fs.unlinkSync(filepath);
+      return { error: "empty" };
+    }
+    if (size > MAX_INBOUND_FILE_BYTES) {
+      log.warn("FILE", `Rejected ${filepath}: ${size} bytes exceeds limit`);
       fs.unlinkSync(filepath);
-      return null;
+      return { error: "too_large", size };
     }
-    return filepath;
+    trackInboundFile(filepath);
+    return { path: filepath, size };
   } catch (e) {
-    console.error("[ERROR] Failed to download image:", e.message);
+    log.error("ERROR", `Failed to download ${type}`, { err: e });
+    try { fs.unlinkSync(filepath); } catch {}
+    return { error: e.message };
   }
-  return null;
 }
 
 // ─── Gemini Image Generation ─────────────────────────────────────────
-const GEMINI_API_KEY = (() => {
-  const keyPath = resolve(process.env.GEMINI_API_KEY_PATH || "~/.openclaw/secrets/gemini_api_key");
-  try { return fs.readFileSync(keyPath, "utf8").trim(); } catch { return process.env.GEMINI_API_KEY || ""; }
-})();
-const GEMINI_IMAGE_MODEL = process.env.GEMINI_IMAGE_MODEL || "gemini-2.0-flash-exp-image-generation";
+const GEMINI_API_KEY = setting("gemini.apiKey") || tryReadFile(setting("gemini.apiKeyPath")) || "";
+addLogSecrets(GEMINI_API_KEY);
+let GEMINI_IMAGE_MODEL;
+onConfigReload(() => { GEMINI_IMAGE_MODEL = setting("gemini.imageModel"); });
 
 async function generateImage(prompt) {
   if (!GEMINI_API_KEY) return { error: "GEMINI_API_KEY not configured" };
@@ -207,7 +1069,7 @@ async function generateImage(prompt) {
       const ext = part.inlineData.mimeType?.includes("png") ? "png" : "jpg";
       imagePath = path.join(MEDIA_DIR, `gemini_${crypto.randomUUID()}.${ext}`);
       fs.writeFileSync(imagePath, buf);
-      console.log(`[DRAW] Saved: ${imagePath} (${buf.length} bytes)`);
+      log.info("DRAW", `Saved: ${imagePath} (${buf.length} bytes)`);
     } else if (part.text) {
       text = part.text;
     }
@@ -217,288 +1079,2063 @@ async function generateImage(prompt) {
 
 async function uploadImage(imagePath) {
   try {
-    console.log(`[IMAGE] Uploading: ${imagePath}`);
-    const imageStream = fs.createReadStream(imagePath);
-    const response = await client.im.image.create({
+    log.info("IMAGE", `Uploading: ${imagePath}`);
+    const response = await larkCall("image upload", () => client.im.image.create({
       data: {
         image_type: "message",
-        image: imageStream,
+        image: fs.createReadStream(imagePath),
       },
-    });
-    console.log(`[IMAGE] Upload response:`, JSON.stringify(response));
+    }));
     
     const imageKey = response?.data?.image_key || response?.image_key;
     if (imageKey) {
-      console.log(`[IMAGE] Uploaded: ${imageKey}`);
+      log.info("IMAGE", `Uploaded: ${imageKey}`);
+      mediaUploadsTotal.inc({ kind: "image" });
+      mediaUploadBytesTotal.inc({ kind: "image" }, fs.statSync(imagePath).size);
       return imageKey;
     }
   } catch (e) {
-    console.error("[ERROR] Failed to upload image:", e.message);
+    log.error("ERROR", "Failed to upload image", { err: e });
   }
   return null;
 }
 
-async function sendImageMessage(chatId, imageKey, altText = "") {
+async function sendImageMessage(to, imageKey, altText = "") {
   try {
-    await client.im.message.create({
-      params: { receive_id_type: "chat_id" },
-      data: {
-        receive_id: chatId,
-        msg_type: "image",
-        content: JSON.stringify({ image_key: imageKey }),
-      },
-    });
-    console.log(`[IMAGE] Sent image to ${chatId}`);
+    await sendMessage(to, { msg_type: "image", content: JSON.stringify({ image_key: imageKey }) });
+    log.info("IMAGE", `Sent image to ${chatOf(to)}`);
     return true;
   } catch (e) {
-    console.error("[ERROR] Failed to send image:", e.message);
+    log.error("ERROR", "Failed to send image", { err: e });
     return false;
   }
 }
 
-// ─── Talk to Moltbot Gateway ─────────────────────────────────────
-
-async function askMoltbot({ text, sessionKey, mediaPath }) {
-  return new Promise((resolve, reject) => {
-    const ws = new WebSocket(`ws://127.0.0.1:${GATEWAY_PORT}`);
-    let runId = null;
-    let buf = "";
-    let mediaUrls = [];
-    const close = () => { try { ws.close(); } catch {} };
-
-    ws.on("error", (e) => { close(); reject(e); });
-
-    ws.on("message", (raw) => {
-      let msg;
-      try { msg = JSON.parse(raw.toString()); } catch { return; }
-
-      if (msg.type === "event" && msg.event === "connect.challenge") {
-        ws.send(JSON.stringify({
-          type: "req",
-          id: "connect",
-          method: "connect",
-          params: {
-            minProtocol: 3,
-            maxProtocol: 3,
-            client: { id: "gateway-client", version: "0.2.0", platform: "macos", mode: "backend" },
-            role: "operator",
-            scopes: ["operator.read", "operator.write"],
-            auth: { token: GATEWAY_TOKEN },
-            locale: "en-US",
-            userAgent: "larksuite-moltbot-bridge",
-          },
-        }));
-        return;
-      }
+// ─── Outbound Media ──────────────────────────────────────────────
 
-      if (msg.type === "res" && msg.id === "connect") {
-        if (!msg.ok) { close(); reject(new Error(msg.error?.message || "connect failed")); return; }
-        
-        const params = {
-          message: text || "",
-          sessionKey,
-          deliver: false,
-          idempotencyKey: uuid(),
-        };
-        
-        // Copy image to workspace so agent can read it via image tool
-        if (mediaPath) {
-          try {
-            const imgName = `lark_${Date.now()}_${path.basename(mediaPath)}`;
-            const workspacePath = `/Users/thx/.clawdbot/workspace/media/inbound/${imgName}`;
-            const workspaceDir = path.dirname(workspacePath);
-            if (!fs.existsSync(workspaceDir)) fs.mkdirSync(workspaceDir, { recursive: true });
-            fs.copyFileSync(mediaPath, workspacePath);
-            const size = fs.statSync(workspacePath).size;
-            console.log(`[IMAGE] Copied to workspace: ${workspacePath} (${size} bytes)`);
-            if (size > 0) {
-              params.message = (params.message || "") + `\n\n[用戶傳送了一張圖片，請用 image tool 讀取: ${workspacePath}]`;
-            }
-            if (!params.message) params.message = "(image)";
-          } catch (e) {
-            console.error("[ERROR] Failed to copy image to workspace:", e.message);
-          }
-        }
-        
-        ws.send(JSON.stringify({
-          type: "req",
-          id: "chat-send",
-          method: "chat.send",
-          params,
-        }));
-        return;
-      }
+const IMAGE_EXTS = new Set(["png", "jpg", "jpeg", "gif", "webp"]);
+const MAX_OUTBOUND_FILE_BYTES = 30 * 1024 * 1024; // Lark IM file upload limit
+// IM file upload file_type per extension; anything else goes up as "stream"
+const LARK_FILE_TYPES = { pdf: "pdf", doc: "doc", docx: "doc", xls: "xls", xlsx: "xls", ppt: "ppt", pptx: "ppt", mp4: "mp4", opus: "opus" };
+// Local paths the agent mentions in a reply that we send along as attachments
+const BARE_MEDIA_PATH_REGEX = /(\/(?:Users|tmp|var|home)[^\s"'`\]>)]+\.(?:png|jpe?g|gif|webp|pdf|csv|xlsx?|docx?|pptx?|zip|mp3|m4a|wav|opus|mp4|mov))/gi;
 
-      if (msg.type === "res" && msg.id === "chat-send") {
-        if (!msg.ok) { close(); reject(new Error(msg.error?.message || "chat.send failed")); return; }
-        if (msg.payload?.runId) runId = msg.payload.runId;
-        return;
-      }
+const extOf = (filePath) => path.extname(filePath).slice(1).toLowerCase();
 
-      // Listen for chat events (chat.send uses "chat" event stream)
-      if (msg.type === "event" && (msg.event === "agent" || msg.event === "chat")) {
-        const p = msg.payload;
-        if (!p || (runId && p.runId !== runId)) return;
-
-        if (p.stream === "assistant") {
-          const d = p.data || {};
-          if (typeof d.text === "string") buf = d.text;
-          else if (typeof d.delta === "string") buf += d.delta;
-          if (d.mediaUrls) mediaUrls = d.mediaUrls;
-          return;
-        }
+async function uploadFile(filePath, fileName = path.basename(filePath)) {
+  try {
+    const fileType = LARK_FILE_TYPES[extOf(fileName)] || "stream";
+    log.info("FILE", `Uploading: ${filePath} (${fileType})`);
+    const response = await larkCall("file upload", () => client.im.file.create({
+      data: {
+        file_type: fileType,
+        file_name: fileName,
+        file: fs.createReadStream(filePath),
+      },
+    }));
+    const fileKey = response?.data?.file_key || response?.file_key;
+    if (fileKey) {
+      log.info("FILE", `Uploaded: ${fileKey}`);
+      mediaUploadsTotal.inc({ kind: "file" });
+      mediaUploadBytesTotal.inc({ kind: "file" }, fs.statSync(filePath).size);
+      return fileKey;
+    }
+  } catch (e) {
+    log.error("ERROR", "Failed to upload file", { err: e });
+  }
+  return null;
+}
 
-        if (p.stream === "lifecycle") {
-          if (p.data?.phase === "end") { close(); resolve({ text: buf.trim(), mediaUrls }); }
-          if (p.data?.phase === "error") { close(); reject(new Error(p.data?.message || "agent error")); }
-        }
-      }
-    });
-  });
+async function sendFileMessage(to, fileKey, msgType = "file") {
+  try {
+    await sendMessage(to, { msg_type: msgType, content: JSON.stringify({ file_key: fileKey }) });
+    log.info("FILE", `Sent ${msgType} to ${chatOf(to)}`);
+    return true;
+  } catch (e) {
+    log.error("ERROR", "Failed to send file", { err: e });
+    return false;
+  }
 }
 
-// ─── Group chat intelligence ─────────────────────────────────────
+// Send a local file to a chat — images as image messages, opus as audio,
+// everything else as a file attachment
+async function sendLocalMedia(to, filePath, fileName = path.basename(filePath)) {
+  if (!fs.existsSync(filePath)) {
+    log.warn("FILE", `Local file not found: ${filePath}`);
+    return false;
+  }
+  const ext = extOf(fileName);
+  if (IMAGE_EXTS.has(ext)) {
+    const imageKey = await uploadImage(filePath);
+    return imageKey ? sendImageMessage(to, imageKey) : false;
+  }
 
-function shouldRespondInGroup(text, mentions) {
-  if (mentions.length > 0) return true;
-  const t = text.toLowerCase();
+  const size = fs.statSync(filePath).size;
+  if (size > MAX_OUTBOUND_FILE_BYTES) {
+    log.warn("FILE", `${filePath} is too large to send (${size} bytes)`);
+    await sendMessage(to, { msg_type: "text", content: JSON.stringify({ text: `⚠️ 檔案「${fileName}」（${formatMB(size)}）超過 Lark ${formatMB(MAX_OUTBOUND_FILE_BYTES)} 上限，無法傳送。` }) }).catch(() => {});
+    return false;
+  }
+  const fileKey = await uploadFile(filePath, fileName);
+  return fileKey ? sendFileMessage(to, fileKey, ext === "opus" ? "audio" : "file") : false;
+}
+
+// Local paths named in agent output are only sent from inside API_FILE_ROOTS,
+// the same directories the REST API may read — anything else (secrets,
+// arbitrary documents) could be leaked to a chat by a prompt-injected reply
+function allowedReplyPath(filePath) {
+  let real;
+  try { real = fs.realpathSync(filePath); } catch { return null; }
+  if (isInFileRoots(real)) return real;
+  log.warn("FILE", `Refusing to send ${filePath}: outside the allowed directories`);
+  return null;
+}
+
+// Download a reply's mediaUrl (or take a local path as-is) and send it
+async function sendMediaUrl(to, url) {
+  if (url.startsWith("/") || url.startsWith("file://")) {
+    const filePath = url.replace(/^file:\/\//, "");
+    if (!fs.existsSync(filePath)) return sendLocalMedia(to, filePath);
+    const real = allowedReplyPath(filePath);
+    return real ? sendLocalMedia(to, real, path.basename(filePath)) : false;
+  }
+  let name = "";
+  try { name = safeFileName(decodeURIComponent(path.basename(new URL(url).pathname))); } catch {}
+  if (!extOf(name)) name = `${name || "image"}.png`; // extensionless URLs have always been images
+  const tempPath = path.join(MEDIA_DIR, `temp_${uuid()}_${name}`);
+  try {
+    await downloadUrl(url, tempPath, { maxBytes: MAX_OUTBOUND_FILE_BYTES });
+    return await sendLocalMedia(to, tempPath, name);
+  } catch (e) {
+    if (e.code !== "too_large") throw e;
+    log.warn("FILE", `${url} is too large to send${e.size ? ` (${e.size} bytes)` : ""}`);
+    await sendMessage(to, { msg_type: "text", content: JSON.stringify({ text: `⚠️ 檔案「${name}」超過 Lark ${formatMB(MAX_OUTBOUND_FILE_BYTES)} 上限，無法傳送。` }) }).catch(() => {});
+    return false;
+  } finally {
+    // Clean up temp file
+    try { fs.unlinkSync(tempPath); } catch {}
+  }
+}
+
+// Pull MEDIA:/path tokens and bare local file paths (that exist inside the
+// allowed directories) out of a reply
+function extractReplyMedia(text, { stripBarePaths = false } = {}) {
+  const paths = [];
+  for (const m of text.matchAll(/MEDIA:(\/[^\s]+)/g)) {
+    const filePath = fs.existsSync(m[1]) ? allowedReplyPath(m[1]) : m[1];
+    if (filePath) paths.push(filePath);
+  }
+  let cleanText = text.replace(/MEDIA:\/[^\s]+/g, "").trim();
+
+  for (const m of cleanText.matchAll(BARE_MEDIA_PATH_REGEX)) {
+    const real = !paths.includes(m[1]) && fs.existsSync(m[1]) && allowedReplyPath(m[1]);
+    if (real && !paths.includes(real)) {
+      paths.push(real);
+      log.info("FILE", `Detected bare file path in reply: ${m[1]}`);
+    }
+  }
+  if (stripBarePaths) cleanText = cleanText.replace(BARE_MEDIA_PATH_REGEX, "").trim();
+  return { text: cleanText, paths };
+}
+
+// ─── Gateway Client ──────────────────────────────────────────────
+//
+// One long-lived WebSocket shared by the whole bridge. Requests are matched to
+// responses by a unique id, events are fanned out to the runs that subscribed
+// to them, and the connection is re-established (and re-authenticated) with
+// exponential backoff whenever it drops.
+
+const GATEWAY_URL = `ws://127.0.0.1:${GATEWAY_PORT}`;
+const GATEWAY_RECONNECT_MIN_MS = 500;
+const GATEWAY_RECONNECT_MAX_MS = 30 * 1000;
+const GATEWAY_HEARTBEAT_MS = 15 * 1000;
+const ORPHAN_EVENT_TTL_MS = 30 * 1000;
+const ORPHAN_EVENT_MAX_RUNS = 200;
+
+let gatewayWs = null;
+let gatewayReady = false;
+let gatewayLastError = null;
+let gatewayLastEventAt = 0;
+let gatewayBackoffMs = GATEWAY_RECONNECT_MIN_MS;
+let gatewayReconnectTimer = null;
+let gatewayReqSeq = 0;
+const gatewayPending = new Map();        // request id → { method, resolve, reject, timer }
+const gatewayReadyWaiters = new Set();   // { resolve, reject, timer } waiting for the handshake
+const runSubscribers = new Map();        // runId → handler(payload, event)
+const orphanRunEvents = new Map();       // runId → { ts, events } seen before anyone subscribed
+const gatewayEventListeners = new Set(); // handler(event, payload) for every gateway event
+const gatewayConnectListeners = new Set(); // handler() after every successful handshake
+const gatewayDisconnectListeners = new Set(); // handler(err) whenever the connection is lost or can't be made
+
+function nextGatewayId(prefix) {
+  return `${prefix}-${++gatewayReqSeq}-${uuid().slice(0, 8)}`;
+}
+
+function connectGateway() {
+  if (gatewayWs) return;
+  clearTimeout(gatewayReconnectTimer);
+  gatewayReconnectTimer = null;
+
+  const ws = new WebSocket(GATEWAY_URL);
+  const connectId = nextGatewayId("connect");
+  gatewayWs = ws;
+
+  ws.on("error", (e) => { gatewayLastError = e; });
+
+  // A gateway that hangs with the TCP connection still open would otherwise
+  // leave every request timing out on a socket that never closes. Ping it; if
+  // nothing (pong or message) came back since the last ping, terminate the
+  // socket so the close handler fails what's pending and reconnects.
+  let alive = true;
+  ws.on("pong", () => { alive = true; });
+  const heartbeat = setInterval(() => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    if (!alive) {
+      gatewayLastError = new Error(`gateway did not answer a ping within ${GATEWAY_HEARTBEAT_MS / 1000}s`);
+      ws.terminate();
+      return;
+    }
+    alive = false;
+    ws.ping();
+  }, GATEWAY_HEARTBEAT_MS);
+
+  ws.on("close", () => {
+    clearInterval(heartbeat);
+    const wasReady = gatewayReady;
+    gatewayWs = null;
+    gatewayReady = false;
+
+    const err = gatewayLastError || new Error("gateway connection closed");
+    gatewayLastError = null;
+    for (const waiter of gatewayReadyWaiters) { clearTimeout(waiter.timer); waiter.reject(err); }
+    gatewayReadyWaiters.clear();
+    for (const [id, pending] of gatewayPending) { clearTimeout(pending.timer); pending.reject(err); gatewayPending.delete(id); }
+
+    const delay = gatewayBackoffMs;
+    gatewayBackoffMs = Math.min(gatewayBackoffMs * 2, GATEWAY_RECONNECT_MAX_MS);
+    if (wasReady || err.code !== "ECONNREFUSED") {
+      log.warn("GATEWAY", `Disconnected (${err.message}), reconnecting in ${delay}ms`);
+    }
+    for (const listener of gatewayDisconnectListeners) {
+      try { listener(err); } catch (e) { log.error("GATEWAY", "Disconnect listener error", { err: e }); }
+    }
+    gatewayReconnectTimer = setTimeout(connectGateway, delay);
+  });
+
+  ws.on("message", (raw) => {
+    alive = true;
+    let msg;
+    try { msg = JSON.parse(raw.toString()); } catch { return; }
+
+    if (msg.type === "event" && msg.event === "connect.challenge") {
+      ws.send(JSON.stringify({
+        type: "req",
+        id: connectId,
+        method: "connect",
+        params: {
+          minProtocol: 3,
+          maxProtocol: 3,
+          client: { id: "gateway-client", version: "0.2.0", platform: setting("gateway.platform"), mode: "backend" },
+          role: "operator",
+          scopes: ["operator.read", "operator.write"],
+          auth: { token: GATEWAY_TOKEN },
+          locale: "en-US",
+          userAgent: "larksuite-moltbot-bridge",
+        },
+      }));
+      return;
+    }
+
+    if (msg.type === "res" && msg.id === connectId) {
+      if (!msg.ok) {
+        gatewayLastError = new Error(msg.error?.message || "connect failed");
+        ws.close();
+        return;
+      }
+      gatewayReady = true;
+      gatewayBackoffMs = GATEWAY_RECONNECT_MIN_MS;
+      log.info("GATEWAY", `Connected to ${GATEWAY_URL}`);
+      gatewayLastEventAt = Date.now();
+      for (const waiter of gatewayReadyWaiters) { clearTimeout(waiter.timer); waiter.resolve(); }
+      gatewayReadyWaiters.clear();
+      for (const listener of gatewayConnectListeners) {
+        try { listener(); } catch (e) { log.error("GATEWAY", "Connect listener error", { err: e }); }
+      }
+      return;
+    }
+
+    if (msg.type === "res") {
+      const pending = gatewayPending.get(msg.id);
+      if (!pending) return;
+      gatewayPending.delete(msg.id);
+      clearTimeout(pending.timer);
+      if (msg.ok) pending.resolve(msg.payload);
+      // The gateway answered, so it's up; it just refused this request
+      else pending.reject(Object.assign(new Error(msg.error?.message || `${pending.method} failed`), { rejected: true }));
+      return;
+    }
+
+    if (msg.type === "event") dispatchGatewayEvent(msg.event, msg.payload);
+  });
+}
+
+function waitForGateway(timeoutMs) {
+  if (gatewayReady) return Promise.resolve();
+  connectGateway();
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject, timer: null };
+    waiter.timer = setTimeout(() => {
+      gatewayReadyWaiters.delete(waiter);
+      reject(new Error("timeout"));
+    }, timeoutMs);
+    gatewayReadyWaiters.add(waiter);
+  });
+}
+
+// Send a request over the shared connection and resolve with its payload
+async function gatewayRequest(method, params = {}, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  await waitForGateway(timeoutMs);
+  return new Promise((resolve, reject) => {
+    const id = nextGatewayId(method);
+    const timer = setTimeout(() => {
+      gatewayPending.delete(id);
+      reject(new Error("timeout"));
+    }, Math.max(deadline - Date.now(), 0));
+    gatewayPending.set(id, { method, resolve, reject, timer });
+    try {
+      gatewayWs.send(JSON.stringify({ type: "req", id, method, params }));
+    } catch (e) {
+      gatewayPending.delete(id);
+      clearTimeout(timer);
+      reject(e);
+    }
+  });
+}
+
+function dispatchGatewayEvent(event, payload) {
+  gatewayLastEventAt = Date.now();
+  for (const listener of gatewayEventListeners) {
+    try { listener(event, payload); } catch (e) { log.error("GATEWAY", "Event listener error", { err: e }); }
+  }
+
+  const runId = payload?.runId;
+  if (!runId) return;
+  const handler = runSubscribers.get(runId);
+  if (handler) { handler(payload, event); return; }
+
+  // The chat.send response can trail the run's first events; keep a short
+  // backlog so a subscriber that arrives late still sees them.
+  const now = Date.now();
+  for (const [id, entry] of orphanRunEvents) {
+    if (now - entry.ts > ORPHAN_EVENT_TTL_MS || orphanRunEvents.size >= ORPHAN_EVENT_MAX_RUNS) orphanRunEvents.delete(id);
+  }
+  const entry = orphanRunEvents.get(runId) || { ts: now, events: [] };
+  entry.events.push({ event, payload });
+  orphanRunEvents.set(runId, entry);
+}
+
+// Route events for runId to handler; returns an unsubscribe function
+function subscribeRun(runId, handler) {
+  runSubscribers.set(runId, handler);
+  const backlog = orphanRunEvents.get(runId);
+  if (backlog) {
+    orphanRunEvents.delete(runId);
+    for (const { event, payload } of backlog.events) handler(payload, event);
+  }
+  return () => { if (runSubscribers.get(runId) === handler) runSubscribers.delete(runId); };
+}
+
+// ─── Gateway Health ──────────────────────────────────────────────
+//
+// A circuit breaker decides whether turns are sent to the gateway at all. It
+// opens as soon as the connection drops (or a turn can't get through) and
+// after BREAKER_THRESHOLD turns in a row time out. While it is open, turns are
+// parked in a bounded outage buffer instead of waiting on a dead connection;
+// every BREAKER_COOLDOWN_MS a cheap request probes the gateway (half-open). A
+// successful probe or turn, or a new connection, closes the breaker and
+// replays the buffer through the chat queues, oldest first, so each chat
+// keeps its order. The buffer lives in memory only.
+
+let RUN_TIMEOUT_MS, RUN_IDLE_TIMEOUT_MS, BREAKER_THRESHOLD, BREAKER_COOLDOWN_MS, OUTAGE_BUFFER_MAX, OUTAGE_BUFFER_MAX_AGE_MS, LOCALE;
+onConfigReload(() => {
+  RUN_TIMEOUT_MS = setting("gateway.runTimeoutS") * 1000;
+  RUN_IDLE_TIMEOUT_MS = setting("gateway.runIdleTimeoutS") * 1000;
+  BREAKER_THRESHOLD = setting("gateway.breakerThreshold");
+  BREAKER_COOLDOWN_MS = setting("gateway.breakerCooldownS") * 1000;
+  OUTAGE_BUFFER_MAX = setting("gateway.outageBufferMax");
+  OUTAGE_BUFFER_MAX_AGE_MS = setting("gateway.outageBufferMaxAgeMin") * 60 * 1000;
+  LOCALE = setting("reply.locale");
+});
+
+// What users see when a turn can't be answered normally
+const STATUS_MESSAGES = {
+  "zh-TW": {
+    unavailable: "⚠️ AI 服務暫時無法連線，你的訊息已保留，恢復後會自動回覆。",
+    buffer_full: "⚠️ AI 服務暫時無法連線，且暫存的訊息已滿，請稍後再傳送一次。",
+    expired: "⚠️ AI 服務中斷太久，先前保留的訊息已取消，請重新傳送。",
+    run_timeout: "⏱ 這次回覆超過 {duration} 仍未完成，已停止。請稍後再試，或把問題拆小一點。",
+    idle_timeout: "⏱ AI 已經 {duration}沒有回應，已停止這次回覆。請再試一次。",
+    agent_error: "❌ AI 處理這則訊息時發生錯誤，請稍後再試。",
+  },
+  en: {
+    unavailable: "⚠️ The AI service is unreachable right now. Your message is saved and will be answered once it's back.",
+    buffer_full: "⚠️ The AI service is unreachable and too many messages are waiting. Please send yours again later.",
+    expired: "⚠️ The AI service was down for too long; your earlier message was dropped. Please send it again.",
+    run_timeout: "⏱ This reply took longer than {duration} and was stopped. Please try again, or split the question up.",
+    idle_timeout: "⏱ The AI stopped responding for {duration}, so this reply was stopped. Please try again.",
+    agent_error: "❌ Something went wrong while the AI handled this message. Please try again later.",
+  },
+};
+
+function formatDuration(ms) {
+  const [value, unit] = ms < 60 * 1000 ? [Math.round(ms / 1000), "s"] : [Math.round(ms / 6000) / 10, "min"];
+  if (LOCALE === "en") return `${value} ${unit}`;
+  return `${value} ${unit === "s" ? "秒" : "分鐘"}`;
+}
+
+function statusMessage(key) {
+  return STATUS_MESSAGES[LOCALE][key].replace("{duration}", formatDuration(key === "idle_timeout" ? RUN_IDLE_TIMEOUT_MS : RUN_TIMEOUT_MS));
+}
+
+// code: "unavailable" (turn never reached the gateway), "run_timeout",
+// "idle_timeout" or "agent_error"
+class GatewayError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const gatewayBreaker = { state: "closed", failures: 0, openedAt: 0 };
+const outageBuffer = [];            // { item, at }, oldest first
+const outageNoticedChats = new Set(); // chats told about the current outage
+let breakerProbeTimer = null;
+
+function openBreaker(reason) {
+  if (gatewayBreaker.state !== "open") log.warn("BREAKER", `Open: ${reason}`);
+  gatewayBreaker.state = "open";
+  gatewayBreaker.openedAt = Date.now();
+  clearTimeout(breakerProbeTimer);
+  breakerProbeTimer = setTimeout(probeGateway, BREAKER_COOLDOWN_MS);
+}
+
+async function probeGateway() {
+  gatewayBreaker.state = "half_open";
+  log.info("BREAKER", "Half-open: probing the gateway");
+  try {
+    await gatewayRequest("sessions.list", { limit: 1 }, 5000);
+    recordGatewaySuccess();
+  } catch (e) {
+    openBreaker(`probe failed (${e.message})`);
+  }
+}
+
+// Whether turns may go to the gateway now
+function gatewayAvailable() {
+  return gatewayBreaker.state === "closed";
+}
+
+function recordGatewaySuccess() {
+  clearTimeout(breakerProbeTimer);
+  gatewayBreaker.failures = 0;
+  if (gatewayBreaker.state !== "closed") {
+    gatewayBreaker.state = "closed";
+    log.info("BREAKER", "Closed: gateway is healthy");
+  }
+  if (outageBuffer.length > 0) replayOutageBuffer();
+}
+
+function recordGatewayFailure(e) {
+  gatewayBreaker.failures += 1;
+  if (e.code === "unavailable" || gatewayBreaker.failures >= BREAKER_THRESHOLD) {
+    openBreaker(`${gatewayBreaker.failures} failed turn(s), last: ${e.code || ""} ${e.message}`.trim());
+  }
+}
+
+const replyTargetOfItem = (item) => item.target || replyTargetFor(item.chatId, item.message);
+
+// Park a turn until the gateway is back; the chat hears about it once per outage
+async function bufferForOutage(item) {
+  if (outageBuffer.length >= OUTAGE_BUFFER_MAX) {
+    log.warn("BREAKER", `Outage buffer full, dropping ${item.messageId} from ${item.chatId}`);
+    await sendNotice(replyTargetOfItem(item), statusMessage("buffer_full"));
+    return;
+  }
+  outageBuffer.push({ item, at: Date.now() });
+  log.info("BREAKER", `Buffered ${item.messageId} from ${item.chatId} (${outageBuffer.length}/${OUTAGE_BUFFER_MAX})`);
+  if (!outageNoticedChats.has(item.chatId)) {
+    outageNoticedChats.add(item.chatId);
+    await sendNotice(replyTargetOfItem(item), statusMessage("unavailable"));
+  }
+}
+
+function replayOutageBuffer() {
+  const entries = outageBuffer.splice(0);
+  outageNoticedChats.clear();
+  log.info("BREAKER", `Replaying ${entries.length} buffered message(s)`);
+  const cutoff = Date.now() - OUTAGE_BUFFER_MAX_AGE_MS;
+  for (const { item, at } of entries) {
+    if (at < cutoff) {
+      sendNotice(replyTargetOfItem(item), statusMessage("expired"));
+      continue;
+    }
+    enqueueMessage(item).catch((e) => log.error("BREAKER", "Failed to replay message", { err: e }));
+  }
+}
+
+gatewayConnectListeners.add(recordGatewaySuccess);
+gatewayDisconnectListeners.add((err) => openBreaker(`gateway connection lost (${err.message})`));
+
+// ─── Talk to Moltbot Gateway ─────────────────────────────────────
+
+function imageMimeType(data) {
+  if (data[0] === 0x89 && data[1] === 0x50) return "image/png";
+  if (data[0] === 0xff && data[1] === 0xd8) return "image/jpeg";
+  if (data.subarray(0, 3).toString("latin1") === "GIF") return "image/gif";
+  if (data.subarray(8, 12).toString("latin1") === "WEBP") return "image/webp";
+  return "image/png";
+}
+
+// Copy an inbound file into the agent workspace; returns the prompt hint
+function copyToWorkspace(attachment) {
+  const fileName = `lark_${Date.now()}_${path.basename(attachment.path)}`;
+  const workspacePath = path.join(WORKSPACE_MEDIA_DIR, fileName);
+  if (!fs.existsSync(WORKSPACE_MEDIA_DIR)) fs.mkdirSync(WORKSPACE_MEDIA_DIR, { recursive: true });
+  fs.copyFileSync(attachment.path, workspacePath);
+  trackInboundFile(workspacePath);
+  const size = fs.statSync(workspacePath).size;
+  log.info(attachment.kind === "image" ? "IMAGE" : "FILE", `Copied to workspace: ${workspacePath} (${size} bytes)`);
+  if (size === 0) return "";
+  return attachment.kind === "image"
+    ? `[用戶傳送了一張圖片，請用 image tool 讀取: ${workspacePath}]`
+    : `[用戶傳送了${ATTACHMENT_LABELS[attachment.kind] || "檔案"}${attachment.name ? `「${attachment.name}」` : ""}，路徑: ${workspacePath}]`;
+}
+
+// Runs currently waiting on the agent, by session key, so they can be stopped
+const activeRuns = new Map(); // sessionKey → { runId, stop }
+
+// Abort the session's running turn on the gateway and settle it locally with
+// whatever has streamed so far (or nothing, with `discard`); false if nothing
+// was running
+async function stopRun(sessionKey, { discard = false } = {}) {
+  const run = activeRuns.get(sessionKey);
+  if (!run) return false;
+  try {
+    await gatewayRequest("chat.abort", { sessionKey, runId: run.runId });
+  } catch (e) {
+    log.warn("GATEWAY", `chat.abort failed for ${sessionKey}`, { err: e });
+  }
+  run.stop(discard);
+  return true;
+}
+
+// Resolves with the reply; rejects with a GatewayError. A run that times out
+// after streaming some text resolves with it, flagged `timedOut`.
+async function askMoltbot({ text, sessionKey, attachments = [], onDelta, idempotencyKey = uuid() }) {
+  const params = {
+    message: text || "",
+    sessionKey,
+    deliver: false,
+    idempotencyKey,
+  };
+
+  // Images go to the gateway as chat.send attachments (base64 data URLs, same
+  // as webchat). Other files — and images when attachments are disabled or
+  // too large — are copied into the agent workspace and referenced by path.
+  for (const attachment of attachments) {
+    try {
+      if (attachment.kind === "image" && IMAGE_ATTACHMENTS) {
+        const data = fs.readFileSync(attachment.path);
+        if (data.length <= MAX_GATEWAY_ATTACHMENT_BYTES) {
+          const mimeType = imageMimeType(data);
+          params.attachments = params.attachments || [];
+          params.attachments.push({
+            type: "image",
+            mimeType,
+            fileName: path.basename(attachment.path),
+            content: `data:${mimeType};base64,${data.toString("base64")}`,
+          });
+          log.info("IMAGE", `Attached: ${attachment.path} (${data.length} bytes)`);
+          continue;
+        }
+        log.info("IMAGE", `${attachment.path} exceeds attachment limit, using workspace copy`);
+      }
+      const hint = copyToWorkspace(attachment);
+      if (hint) params.message = (params.message || "") + `\n\n${hint}`;
+    } catch (e) {
+      log.error("ERROR", `Failed to prepare ${attachment.kind} for gateway`, { err: e });
+    }
+  }
+  if (!params.message && attachments.length > 0) params.message = `(${attachments[0].kind})`;
+
+  return new Promise((resolve, reject) => {
+    // Subscribe under the idempotency key up front; re-key below if the
+    // gateway assigns a different runId.
+    let runId = params.idempotencyKey;
+    let buf = "";
+    let mediaUrls = [];
+    let settled = false;
+    let idleTimer = null;
+
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(idleTimer);
+      clearTimeout(runTimer);
+      unsubscribe();
+      if (activeRuns.get(sessionKey) === run) activeRuns.delete(sessionKey);
+      fn(value);
+    };
+    const run = {
+      get runId() { return runId; },
+      stop: (discard = false) => settle(resolve, { text: buf.trim(), mediaUrls, aborted: true, discarded: discard }),
+    };
+    activeRuns.set(sessionKey, run);
+
+    // Give up on a run that never ends or goes quiet: abort it on the gateway
+    // and keep whatever it streamed
+    const timeOut = (code) => {
+      if (settled) return;
+      log.warn("GATEWAY", `Run ${runId} for ${sessionKey} hit ${code}`);
+      gatewayRequest("chat.abort", { sessionKey, runId }).catch(() => {});
+      if (buf.trim()) settle(resolve, { text: buf.trim(), mediaUrls, timedOut: code });
+      else settle(reject, new GatewayError(code, `run ${code.replace("_", " ")}`));
+    };
+    const touch = () => {
+      clearTimeout(idleTimer);
+      if (RUN_IDLE_TIMEOUT_MS > 0) idleTimer = setTimeout(() => timeOut("idle_timeout"), RUN_IDLE_TIMEOUT_MS);
+    };
+    const runTimer = RUN_TIMEOUT_MS > 0 ? setTimeout(() => timeOut("run_timeout"), RUN_TIMEOUT_MS) : null;
+    touch();
+
+    // Bound so streaming updates log under this turn's context
+    const onEvent = AsyncLocalStorage.bind((p, event) => {
+      // Listen for chat events (chat.send uses "chat" event stream)
+      if (settled || (event !== "agent" && event !== "chat")) return;
+      touch();
+
+      if (p.state === "aborted") {
+        run.stop(false);
+        return;
+      }
+
+      if (p.stream === "assistant") {
+        const d = p.data || {};
+        if (typeof d.text === "string") buf = d.text;
+        else if (typeof d.delta === "string") buf += d.delta;
+        if (d.mediaUrls) mediaUrls = d.mediaUrls;
+        if (onDelta) onDelta(buf);
+        return;
+      }
+
+      if (p.stream === "lifecycle") {
+        if (p.data?.phase === "end") settle(resolve, { text: buf.trim(), mediaUrls });
+        if (p.data?.phase === "error") settle(reject, new GatewayError("agent_error", p.data?.message || "agent error"));
+      }
+    });
+
+    let unsubscribe = subscribeRun(runId, onEvent);
+    annotateLog({ runId, sessionKey });
+    log.info("GATEWAY", "Run started", { attachments: params.attachments?.length });
+
+    gatewayRequest("chat.send", params).then((payload) => {
+      if (settled || !payload?.runId || payload.runId === runId) return;
+      unsubscribe();
+      runId = payload.runId;
+      annotateLog({ runId });
+      unsubscribe = subscribeRun(runId, onEvent);
+    }).catch((e) => settle(reject, new GatewayError(e.rejected ? "agent_error" : "unavailable", e.message)));
+  });
+}
+
+// ─── Markdown Rendering ──────────────────────────────────────────
+//
+// Agent replies are Markdown. Lark's post `md` tag and card markdown element
+// render most of it (bold, links, lists, quotes, code fences) but not headings
+// or tables, so those are rewritten first. Long replies are split at block
+// boundaries into chunks that fit Lark's 30KB post/card request limit.
+
+let REPLY_CHUNK_MAX_BYTES;
+onConfigReload(() => { REPLY_CHUNK_MAX_BYTES = setting("reply.chunkBytes"); });
+const MARKDOWN_HINT_REGEX = /(^|\n)\s*(#{1,6}\s|```|~~~|[-*+]\s|\d+\.\s|>\s|\|.*\|)|\*\*[^*]+\*\*|`[^`\n]+`|\[[^\]]+\]\([^)]+\)/;
+
+const byteLength = (s) => Buffer.byteLength(s, "utf8");
+
+// Split Markdown into top-level blocks: { type: "code" | "table" | "heading" | "hr" | "text", lines, lang }
+function parseMarkdownBlocks(text) {
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  const blocks = [];
+  let para = [];
+  const flush = () => {
+    if (para.length) blocks.push({ type: "text", lines: para });
+    para = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fence = /^\s*(```+|~~~+)\s*([\w+#.-]*)/.exec(line);
+    if (fence) {
+      flush();
+      const body = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) body.push(lines[i]);
+      blocks.push({ type: "code", lang: fence[2], lines: body });
+      continue;
+    }
+    if (/^\s*\|.*\|\s*$/.test(line) && /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)+\|?\s*$/.test(lines[i + 1] || "")) {
+      flush();
+      const rows = [line];
+      for (i += 2; i < lines.length && /^\s*\|.*\|\s*$/.test(lines[i]); i++) rows.push(lines[i]);
+      i--;
+      blocks.push({ type: "table", lines: rows });
+      continue;
+    }
+    if (/^#{1,6}\s+/.test(line)) {
+      flush();
+      blocks.push({ type: "heading", lines: [line.replace(/^#{1,6}\s+/, "").replace(/\s+#+\s*$/, "")] });
+      continue;
+    }
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      blocks.push({ type: "hr", lines: [] });
+      continue;
+    }
+    if (!line.trim()) { flush(); continue; }
+    para.push(line);
+  }
+  flush();
+  return blocks;
+}
+
+// Tables become an aligned monospace code block
+function tableToCode(rows) {
+  const cells = rows.map((row) => row.trim().replace(/^\|/, "").replace(/\|$/, "").split("|").map((c) => c.trim()));
+  const widths = [];
+  for (const row of cells) row.forEach((c, i) => { widths[i] = Math.max(widths[i] || 0, c.length); });
+  const fmt = (row) => row.map((c, i) => c.padEnd(widths[i])).join(" | ").trimEnd();
+  return [fmt(cells[0]), widths.map((w) => "-".repeat(w)).join("-+-"), ...cells.slice(1).map(fmt)];
+}
+
+function blockToMarkdown(block) {
+  switch (block.type) {
+    case "code": return ["```" + (block.lang || ""), ...block.lines, "```"].join("\n");
+    case "table": return ["```", ...tableToCode(block.lines), "```"].join("\n");
+    case "heading": return `**${block.lines[0]}**`;
+    case "hr": return "---";
+    default: return block.lines.join("\n");
+  }
+}
+
+// Break one block that is too large on its own into line-sized pieces;
+// code keeps its fence in every piece so it stays readable
+function splitOversizedBlock(block, maxBytes) {
+  const pieces = [];
+  let current = [];
+  let size = 0;
+  for (const rawLine of block.lines) {
+    // A single enormous line gets hard-wrapped
+    const parts = [];
+    for (let rest = rawLine; ; ) {
+      if (byteLength(rest) <= maxBytes / 2) { parts.push(rest); break; }
+      const cut = Math.floor(maxBytes / 8);
+      parts.push(rest.slice(0, cut));
+      rest = rest.slice(cut);
+    }
+    for (const line of parts) {
+      const lineBytes = byteLength(line) + 1;
+      if (current.length && size + lineBytes > maxBytes - 32) {
+        pieces.push({ ...block, lines: current });
+        current = [];
+        size = 0;
+      }
+      current.push(line);
+      size += lineBytes;
+    }
+  }
+  if (current.length) pieces.push({ ...block, lines: current });
+  return pieces;
+}
+
+// Split a reply into ordered Markdown chunks of at most maxBytes each
+function splitMarkdown(text, maxBytes = REPLY_CHUNK_MAX_BYTES) {
+  const chunks = [];
+  let current = "";
+  for (const block of parseMarkdownBlocks(text)) {
+    const md = blockToMarkdown(block);
+    const pieces = byteLength(md) > maxBytes
+      ? splitOversizedBlock(block.type === "table" ? { type: "code", lines: tableToCode(block.lines) } : block, maxBytes).map(blockToMarkdown)
+      : [md];
+    for (const piece of pieces) {
+      if (current && byteLength(current) + 2 + byteLength(piece) > maxBytes) {
+        chunks.push(current);
+        current = "";
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Lark message for one chunk: plain text stays a text message, anything with
+// Markdown becomes a post with one `md` paragraph per block
+function renderMarkdownMessage(chunk) {
+  if (!MARKDOWN_HINT_REGEX.test(chunk)) {
+    return { msg_type: "text", content: JSON.stringify({ text: chunk }) };
+  }
+  const content = parseMarkdownBlocks(chunk).map((block) => (block.type === "hr"
+    ? [{ tag: "hr" }]
+    : [{ tag: "md", text: blockToMarkdown(block) }]));
+  return { msg_type: "post", content: JSON.stringify({ zh_cn: { title: "", content } }) };
+}
+
+async function sendMarkdownChunk(to, chunk) {
+  const res = await sendMessage(to, renderMarkdownMessage(chunk));
+  return res?.data?.message_id || "";
+}
+
+// Render a Markdown reply and send it as one or more ordered messages
+async function sendReply(to, text) {
+  const ids = [];
+  for (const chunk of splitMarkdown(text)) ids.push(await sendMarkdownChunk(to, chunk));
+  return ids;
+}
+
+// ─── Streaming Reply Card ────────────────────────────────────────
+
+const REPLY_CARD_NOTES = {
+  streaming: "⏳ 回覆中…",
+  done: "✅ 完成",
+  error: "❌ 發生錯誤",
+  stopped: "⏹ 已停止",
+  regenerating: "🔄 重新生成中…",
+  continued: "▶️ 已要求繼續",
+  new_session: "🆕 已開始新 Session",
+};
+
+// Buttons per card state; a button's value names the action and the reply
+// context it belongs to (see Card Actions)
+const REPLY_CARD_BUTTONS = {
+  streaming: [["⏹ 停止", "stop", "danger"]],
+  done: [["🔄 重新生成", "regenerate", "default"], ["▶️ 繼續", "continue", "primary"], ["🆕 新對話", "new_session", "default"]],
+};
+REPLY_CARD_BUTTONS.error = REPLY_CARD_BUTTONS.done;
+REPLY_CARD_BUTTONS.stopped = REPLY_CARD_BUTTONS.done;
+
+function buildReplyCard(text, state = "streaming", { ctxId = "" } = {}) {
+  const elements = [
+    { tag: "markdown", content: text ? splitMarkdown(text)[0] : "Thinking…" },
+    { tag: "note", elements: [{ tag: "plain_text", content: REPLY_CARD_NOTES[state] || "" }] },
+  ];
+  if (REPLY_BUTTONS && ctxId && REPLY_CARD_BUTTONS[state]) {
+    elements.push({
+      tag: "action",
+      actions: REPLY_CARD_BUTTONS[state].map(([label, action, type]) => ({
+        tag: "button",
+        text: { tag: "plain_text", content: label },
+        type,
+        value: { action, ctx: ctxId },
+      })),
+    });
+  }
+  return { config: { wide_screen_mode: true, update_multi: true }, elements };
+}
+
+// Send a finished reply chunk as a card so it can carry the action buttons
+async function sendReplyCard(to, text, state, ctxId) {
+  const res = await sendMessage(to, { msg_type: "interactive", content: JSON.stringify(buildReplyCard(text, state, { ctxId })) });
+  return res?.data?.message_id || "";
+}
+
+// Interactive "Thinking…" card that is patched with the streamed reply.
+// Patches are throttled to STREAM_PATCH_INTERVAL_MS and applied in order.
+// Passing `messageId` takes over an existing card instead of sending one.
+function createReplyCard(to, initialText = "", { ctxId = "", messageId: existingId = "" } = {}) {
+  let messageId = existingId;
+  let latest = initialText;
+  let closed = false;
+  let lastPatchAt = 0;
+  let patchTimer = null;
+  let patching = Promise.resolve();
+
+  const patch = (text, state) => {
+    patching = patching.catch(() => {}).then(() => larkCall("card patch", () => client.im.message.patch({
+      path: { message_id: messageId },
+      data: { content: JSON.stringify(buildReplyCard(text, state, { ctxId })) },
+    }), { chatId: chatOf(to) }));
+    return patching;
+  };
+
+  const creating = existingId
+    ? patch(latest, "streaming").catch((e) => log.warn("CARD", "Failed to take over card", { err: e }))
+    : sendMessage(to, { msg_type: "interactive", content: JSON.stringify(buildReplyCard(latest, "streaming", { ctxId })) }, { deadLetter: false }).then((res) => {
+      messageId = res?.data?.message_id || "";
+    }).catch((e) => {
+      log.error("ERROR", "Failed to send reply card", { err: e });
+    });
+
+  const flush = () => {
+    patchTimer = null;
+    if (closed || !messageId) return;
+    lastPatchAt = Date.now();
+    patch(latest, "streaming").catch((e) => log.warn("CARD", "Stream patch failed", { err: e }));
+  };
+
+  return {
+    update(text) {
+      latest = text;
+      if (closed || patchTimer) return;
+      const wait = Math.max(STREAM_PATCH_INTERVAL_MS - (Date.now() - lastPatchAt), 0);
+      patchTimer = setTimeout(() => creating.then(flush), wait);
+    },
+
+    // Patch the card into its final state; resolves false if that failed
+    async finish(text, state) {
+      closed = true;
+      clearTimeout(patchTimer);
+      await creating;
+      if (!messageId) return false;
+      try {
+        await patch(text, state);
+        return true;
+      } catch (e) {
+        log.warn("CARD", "Final patch failed", { err: e });
+        return false;
+      }
+    },
+
+    async remove() {
+      closed = true;
+      clearTimeout(patchTimer);
+      await creating;
+      if (!messageId) return;
+      await patching.catch(() => {});
+      try { await larkCall("delete", () => client.im.message.delete({ path: { message_id: messageId } }), { chatId: chatOf(to) }); } catch {}
+    },
+  };
+}
+
+// ─── Group chat intelligence ─────────────────────────────────────
+//
+// In groups the bot always answers when it is @mentioned itself (checked
+// against its own open_id, resolved at startup), plus whatever the group's
+// trigger mode allows:
+//   mention  — nothing else
+//   always   — every message
+//   keywords — messages containing one of the group's keywords or /regex/
+//   smart    — questions, request verbs, the bot's name, any attachment
+// Group owners/managers and bridge admins change the mode with /trigger; it
+// is persisted per chat.
+
+let DEFAULT_GROUP_TRIGGER, SMART_VERBS;
+onConfigReload(() => {
+  DEFAULT_GROUP_TRIGGER = setting("group.trigger");
+  SMART_VERBS = setting("group.smartVerbs");
+});
+const BOT_INFO_RETRY_MS = 60 * 1000;
+const GROUP_ADMIN_CACHE_MS = 5 * 60 * 1000;
+
+const groupTriggers = registerState("groupTriggers", new Map()); // chatId → { mode, keywords }
+const groupAdminCache = new Map(); // chatId → { at, ids }
+let botOpenId = "";
+let botName = "";
+
+async function resolveBotIdentity() {
+  try {
+    const res = await client.request({ method: "GET", url: "/open-apis/bot/v3/info" });
+    botOpenId = res?.bot?.open_id || "";
+    if (!botOpenId) throw new Error(res?.msg || "no open_id in response");
+    botName = res.bot.app_name || "";
+    log.info("BOT", `Resolved bot open_id: ${botOpenId} (${res.bot.app_name || "unnamed"})`);
+  } catch (e) {
+    log.warn("BOT", `Failed to resolve bot open_id (${e.message}); treating any @mention as addressed to the bot until it resolves`);
+    setTimeout(resolveBotIdentity, BOT_INFO_RETRY_MS);
+  }
+}
+
+function isBotMentioned(mentions = []) {
+  if (!botOpenId) return mentions.length > 0;
+  return mentions.some((m) => m?.id?.open_id === botOpenId);
+}
+
+function groupTriggerOf(chatId) {
+  return groupTriggers.get(chatId) || { mode: DEFAULT_GROUP_TRIGGER, keywords: [] };
+}
+
+// Keywords are case-insensitive substrings, or "/pattern/flags" regexes. Only
+// bridge admins may set regexes (group owners are anyone who adds the bot to
+// a group), and even then only patterns that can't backtrack badly: short, no
+// backreferences, no repeated group that itself repeats or alternates, one
+// unbounded repeat at most, tested against the start of the message.
+const KEYWORD_REGEX_MAX_CHARS = 100;
+const KEYWORD_REGEX_MAX_QUANTIFIERS = 4;
+const KEYWORD_REGEX_MAX_REPEAT = 100;
+const KEYWORD_REGEX_TEXT_CHARS = 2000;
+const keywordRegexCache = new Map(); // keyword → RegExp
+
+const isRegexKeyword = (keyword) => /^\/.+\/[a-z]*$/.test(keyword);
+
+// Compile a "/pattern/flags" keyword, or throw with a user-facing reason
+function keywordRegex(keyword) {
+  const cached = keywordRegexCache.get(keyword);
+  if (cached) return cached;
+  const [, source, flags] = /^\/(.+)\/([a-z]*)$/.exec(keyword);
+  if (source.length > KEYWORD_REGEX_MAX_CHARS) throw new Error(`超過 ${KEYWORD_REGEX_MAX_CHARS} 字元`);
+  if (/[^imsu]/.test(flags)) throw new Error("只支援 i、m、s、u 旗標");
+  if (/\\(?:[1-9]|k<)/.test(source)) throw new Error("不支援反向參照");
+
+  // Walk the pattern once, tracking per group whether it repeats or alternates
+  const groups = [{ risky: false }];
+  let quantifiers = 0, unbounded = 0;
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    let quantifier = "";
+    if (c === "\\") { i++; continue; }
+    if (c === "[") {
+      for (i++; i < source.length && source[i] !== "]"; i++) if (source[i] === "\\") i++;
+      continue;
+    }
+    if (c === "(") { groups.push({ risky: false }); continue; }
+    if (c === "|") { groups.at(-1).risky = true; continue; }
+    if (c === ")" && groups.length > 1) {
+      const group = groups.pop();
+      const next = /^(?:[*+?]|\{\d+(?:,\d*)?\})/.exec(source.slice(i + 1))?.[0] || "";
+      if (next && next !== "?" && group.risky) throw new Error("重複的群組內不可再有重複或 |");
+      if (group.risky) groups.at(-1).risky = true;
+      quantifier = next;
+      i += next.length;
+    } else if ("*+?".includes(c) && source[i - 1] !== "(") {
+      quantifier = c;
+    } else if (c === "{") {
+      quantifier = /^\{\d+(?:,\d*)?\}/.exec(source.slice(i))?.[0] || "";
+      i += Math.max(quantifier.length - 1, 0);
+    }
+    if (!quantifier) continue;
+    groups.at(-1).risky = true;
+    quantifiers++;
+    const [, max] = /^\{\d+,(\d*)\}$/.exec(quantifier) || [];
+    if (quantifier === "*" || quantifier === "+" || max === "") unbounded++;
+    else if (Number(max) > KEYWORD_REGEX_MAX_REPEAT) throw new Error(`重複次數上限為 ${KEYWORD_REGEX_MAX_REPEAT}`);
+    // A lazy marker (`*?`) belongs to the quantifier just counted
+    if (source[i + 1] === "?") i++;
+  }
+  if (quantifiers > KEYWORD_REGEX_MAX_QUANTIFIERS) throw new Error(`最多 ${KEYWORD_REGEX_MAX_QUANTIFIERS} 個重複符號`);
+  if (unbounded > 1) throw new Error("最多一個 *、+ 或 {n,}");
+
+  const re = new RegExp(source, flags);
+  keywordRegexCache.set(keyword, re);
+  return re;
+}
+
+function keywordMatches(keyword, text) {
+  if (isRegexKeyword(keyword)) {
+    try {
+      return keywordRegex(keyword).test(text.slice(0, KEYWORD_REGEX_TEXT_CHARS));
+    } catch {} // not a usable regex: fall back to a literal match
+  }
+  return text.toLowerCase().includes(keyword.toLowerCase());
+}
+
+function smartTrigger(text) {
+  const t = text.toLowerCase();
   if (/[？?]$/.test(text)) return true;
   if (/\b(why|how|what|when|where|who|help)\b/.test(t)) return true;
-  const verbs = ["帮", "麻烦", "请", "能否", "可以", "解释", "看看", "排查", "分析", "总结", "写", "改", "修", "查", "对比", "翻译"];
-  if (verbs.some(k => text.includes(k))) return true;
+  if (SMART_VERBS.some(k => text.includes(k))) return true;
   if (/^(moltbot|bot|assistant|助手|智能体|小机)[\s,:，：]/i.test(text)) return true;
   return false;
 }
 
+function shouldRespondInGroup(chatId, text, mentions, hasAttachments = false) {
+  if (isBotMentioned(mentions)) return true;
+  const { mode, keywords } = groupTriggerOf(chatId);
+  switch (mode) {
+    case "always": return true;
+    case "keywords": return keywords.some((k) => keywordMatches(k, text));
+    case "smart": return hasAttachments || smartTrigger(text);
+    default: return false;
+  }
+}
+
+// Group owner and managers, as open_ids; cached briefly
+async function groupAdminIds(chatId) {
+  const cached = groupAdminCache.get(chatId);
+  if (cached && Date.now() - cached.at < GROUP_ADMIN_CACHE_MS) return cached.ids;
+  const res = await client.im.chat.get({ params: { user_id_type: "open_id" }, path: { chat_id: chatId } });
+  const ids = [res?.data?.owner_id, ...(res?.data?.user_manager_id_list || [])].filter(Boolean);
+  groupAdminCache.set(chatId, { at: Date.now(), ids });
+  return ids;
+}
+
+const TRIGGER_USAGE = `用法：
+/trigger — 顯示此群組的觸發模式
+/trigger mention — 只在 @機器人 時回覆
+/trigger always — 回覆每則訊息
+/trigger smart — 問句、請求語氣或附件時回覆
+/trigger keywords <關鍵字…> — 含任一關鍵字時回覆（不分大小寫；機器人管理員可用 /正則/）
+（任何模式下 @機器人 都會回覆）`;
+
+// Bridge admins, or the group's owner and managers
+async function canManageGroup(chatId, senderIds) {
+  if (isAdmin(senderIds)) return true;
+  try {
+    const admins = await groupAdminIds(chatId);
+    return senderIds.some((id) => admins.includes(id));
+  } catch (e) {
+    log.error("TRIGGER", `Failed to look up admins of ${chatId}`, { err: e });
+    return false;
+  }
+}
+
+// /trigger for group owners/managers and bridge admins; returns the reply text
+async function handleTriggerCommand(chatId, text, senderIds) {
+  const [, mode, ...keywords] = text.trim().split(/\s+/);
+  if (!mode) {
+    const current = groupTriggerOf(chatId);
+    return `🎯 觸發模式: ${current.mode}${current.mode === "keywords" ? `（${current.keywords.join("、")}）` : ""}\n\n${TRIGGER_USAGE}`;
+  }
+  if (!GROUP_TRIGGER_MODES.includes(mode)) return TRIGGER_USAGE;
+
+  if (!(await canManageGroup(chatId, senderIds))) return "🚫 只有群主、群管理員或機器人管理員可以變更觸發模式。";
+
+  if (mode === "keywords") {
+    if (keywords.length === 0) return "⚠️ 請提供至少一個關鍵字，例如：/trigger keywords 機器人 bot";
+    const regexes = keywords.filter(isRegexKeyword);
+    if (regexes.length && !isAdmin(senderIds)) return `🚫 只有機器人管理員可以設定正則關鍵字：${regexes.join("、")}`;
+    for (const k of regexes) {
+      try { keywordRegex(k); } catch (e) { return `⚠️ 無效的正則：${k}（${e.message}）`; }
+    }
+  }
+  groupTriggers.set(chatId, { mode, keywords: mode === "keywords" ? keywords : [] });
+  saveStateSoon();
+  log.info("TRIGGER", `${chatId} → ${mode}${keywords.length ? ` (${keywords.join(", ")})` : ""}`);
+  return `✅ 觸發模式已設為 ${mode}${mode === "keywords" ? `：${keywords.join("、")}` : ""}`;
+}
+
+// ─── Group Context ───────────────────────────────────────────────
+//
+// Group messages the bot doesn't answer are kept in a small in-memory buffer
+// per group (bounded by count, age and total size) and handed to the agent
+// the next time it is triggered there, so "summarize the above" has something
+// to work with. Each hand-off empties the buffer: from then on those messages
+// live in the session. Groups can opt out with /context off; the buffer is
+// never written to the state file.
+
+let GROUP_CONTEXT_DEFAULT, GROUP_CONTEXT_MAX_MESSAGES, GROUP_CONTEXT_MAX_AGE_MS, GROUP_CONTEXT_MAX_CHARS;
+onConfigReload(() => {
+  GROUP_CONTEXT_DEFAULT = setting("group.context");
+  GROUP_CONTEXT_MAX_MESSAGES = setting("group.contextMaxMessages");
+  GROUP_CONTEXT_MAX_AGE_MS = setting("group.contextMaxAgeMin") * 60 * 1000;
+  GROUP_CONTEXT_MAX_CHARS = setting("group.contextMaxChars");
+});
+const GROUP_CONTEXT_ENTRY_MAX_CHARS = 500;
+
+const groupContextSettings = registerState("groupContext", new Map()); // chatId → enabled
+const groupContexts = new Map(); // chatId → [{ at, senderId, text }]
+
+function groupContextEnabled(chatId) {
+  return groupContextSettings.get(chatId) ?? GROUP_CONTEXT_DEFAULT;
+}
+
+function pruneGroupContext(entries) {
+  const cutoff = Date.now() - GROUP_CONTEXT_MAX_AGE_MS;
+  while (entries.length > 0 && entries[0].at < cutoff) entries.shift();
+  let chars = entries.reduce((sum, e) => sum + e.text.length, 0);
+  while (entries.length > GROUP_CONTEXT_MAX_MESSAGES || (entries.length > 0 && chars > GROUP_CONTEXT_MAX_CHARS)) {
+    chars -= entries.shift().text.length;
+  }
+  return entries;
+}
+
+function bufferGroupMessage(chatId, senderId, text) {
+  if (!groupContextEnabled(chatId) || GROUP_CONTEXT_MAX_MESSAGES <= 0) return;
+  if (!text || text.startsWith("/")) return;
+  const entries = groupContexts.get(chatId) || [];
+  const clipped = text.length > GROUP_CONTEXT_ENTRY_MAX_CHARS ? `${text.slice(0, GROUP_CONTEXT_ENTRY_MAX_CHARS)}…` : text;
+  entries.push({ at: Date.now(), senderId, text: clipped });
+  groupContexts.set(chatId, pruneGroupContext(entries));
+}
+
+// Empties the group's buffer and returns it as a transcript block ("" if none)
+async function takeGroupContext(chatId) {
+  const entries = pruneGroupContext(groupContexts.get(chatId) || []);
+  groupContexts.delete(chatId);
+  if (entries.length === 0 || !groupContextEnabled(chatId)) return "";
+  const lines = [];
+  for (const entry of entries) {
+    const name = (await displayNameOf(entry.senderId, chatId)) || entry.senderId || "某人";
+    lines.push(`${name}：${entry.text.replace(/\n/g, "\n  ")}`);
+  }
+  log.info("CONTEXT", `${chatId}: attaching ${entries.length} earlier message(s)`);
+  return `[群組近期訊息（機器人未回覆）]\n${lines.join("\n")}`;
+}
+
+const CONTEXT_USAGE = `用法：
+/context — 顯示此群組的脈絡緩衝狀態
+/context clear — 清除目前暫存的訊息
+/context on — 啟用（群主、群管理員或機器人管理員）
+/context off — 停用並清除（群主、群管理員或機器人管理員）`;
+
+// /context for group members; on/off is limited like /trigger
+async function handleContextCommand(chatId, text, senderIds) {
+  const [, action] = text.trim().split(/\s+/);
+  const entries = pruneGroupContext(groupContexts.get(chatId) || []);
+  if (!action) {
+    const state = groupContextEnabled(chatId) ? "啟用" : "停用";
+    return `🧾 群組脈絡: ${state}，目前暫存 ${entries.length} 則訊息（上限 ${GROUP_CONTEXT_MAX_MESSAGES} 則、${Math.round(GROUP_CONTEXT_MAX_AGE_MS / 60000)} 分鐘）\n\n${CONTEXT_USAGE}`;
+  }
+  if (action === "clear") {
+    groupContexts.delete(chatId);
+    log.info("CONTEXT", `${chatId}: cleared ${entries.length} message(s)`);
+    return `🧹 已清除 ${entries.length} 則暫存訊息。`;
+  }
+  if (action !== "on" && action !== "off") return CONTEXT_USAGE;
+  if (!(await canManageGroup(chatId, senderIds))) return "🚫 只有群主、群管理員或機器人管理員可以變更此設定。";
+  const enabled = action === "on";
+  if (enabled === GROUP_CONTEXT_DEFAULT) groupContextSettings.delete(chatId);
+  else groupContextSettings.set(chatId, enabled);
+  if (!enabled) groupContexts.delete(chatId);
+  saveStateSoon();
+  log.info("CONTEXT", `${chatId} → ${action}`);
+  return enabled ? "✅ 已啟用群組脈絡：未觸發的訊息會在下次觸發時提供給 AI。" : "✅ 已停用群組脈絡，暫存訊息已清除。";
+}
+
+// ─── Inbound Content ─────────────────────────────────────────────
+
+const ATTACHMENT_LABELS = { image: "圖片", file: "檔案", audio: "語音", video: "影片" };
+
+// Pull the readable text out of an interactive card (title, markdown, buttons…)
+function interactiveCardText(card) {
+  const parts = [];
+  const walk = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) { node.forEach(walk); return; }
+    if (typeof node.content === "string") parts.push(node.content);
+    if (typeof node.text === "string") parts.push(node.text);
+    for (const v of Object.values(node)) {
+      if (typeof v === "object") walk(v);
+    }
+  };
+  if (typeof card.title === "string") parts.push(card.title);
+  walk(card.header);
+  walk(card.elements);
+  return parts.map((p) => p.trim()).filter(Boolean).join("\n");
+}
+
+// Plain-text rendering of a sub-message inside a merge_forward bundle
+function subMessageText(msgType, content) {
+  try {
+    const c = JSON.parse(content || "{}");
+    if (msgType === "text") return c.text || "";
+    if (msgType === "post") {
+      const post = c.zh_cn || c.zh_tw || c.en_us || c;
+      const lines = (post.content || []).map((line) => (Array.isArray(line)
+        ? line.map((n) => (n.tag === "text" || n.tag === "a" ? n.text || ""
+          : n.tag === "img" ? "[圖片]"
+          : n.tag === "at" ? mentionPlaceholder(n)
+          : "")).join("")
+        : ""));
+      return [post.title, ...lines].filter(Boolean).join("\n");
+    }
+    if (msgType === "image") return "[圖片]";
+    if (msgType === "file") return `[檔案: ${c.file_name || ""}]`;
+    if (msgType === "interactive") return interactiveCardText(c);
+  } catch {}
+  return `[${msgType}]`;
+}
+
+// A post `at` node: keep the @_user_N key so resolveMentions() can map it
+function mentionPlaceholder(node) {
+  if (/^@_user_\d+$/.test(node.user_id || "")) return node.user_id;
+  return node.user_name ? `@${node.user_name}` : "";
+}
+
+// Replace @_user_N keys with @display names; the bot's own mention is dropped
+// since it only addresses the bot. Event mentions carry id as an object,
+// message.get mentions as a plain open_id string.
+function resolveMentions(text, mentions = []) {
+  let out = text;
+  for (const m of mentions || []) {
+    if (!m?.key) continue;
+    const openId = typeof m.id === "string" ? m.id : m.id?.open_id;
+    out = out.split(m.key).join(botOpenId && openId === botOpenId ? "" : `@${m.name || openId || "someone"}`);
+  }
+  return out.replace(/@_all\b/g, "@所有人").replace(/[ \t]{2,}/g, " ").trim();
+}
+
+const QUOTE_MAX_CHARS = 2000;
+const MEMBER_NAMES_CACHE_MS = 10 * 60 * 1000;
+const MEMBER_NAMES_MAX_PAGES = 5;
+const memberNamesCache = new Map(); // chatId → { at, names: Map(open_id → name) }
+
+async function chatMemberNames(chatId) {
+  const cached = memberNamesCache.get(chatId);
+  if (cached && Date.now() - cached.at < MEMBER_NAMES_CACHE_MS) return cached.names;
+  const names = new Map();
+  let pageToken;
+  for (let page = 0; page < MEMBER_NAMES_MAX_PAGES; page++) {
+    const res = await client.im.chatMembers.get({
+      path: { chat_id: chatId },
+      params: { member_id_type: "open_id", page_size: 100, ...(pageToken ? { page_token: pageToken } : {}) },
+    });
+    for (const member of res?.data?.items || []) {
+      if (member.member_id && member.name) names.set(member.member_id, member.name);
+    }
+    pageToken = res?.data?.page_token;
+    if (!res?.data?.has_more || !pageToken) break;
+  }
+  memberNamesCache.set(chatId, { at: Date.now(), names });
+  return names;
+}
+
+// Best-effort display name: chat member list, then the contact API
+async function displayNameOf(openId, chatId) {
+  if (!openId) return "";
+  if (openId === botOpenId) return botName || "機器人";
+  try {
+    const name = (await chatMemberNames(chatId)).get(openId);
+    if (name) return name;
+  } catch (e) {
+    log.warn("MSG", `Could not list members of ${chatId}`, { err: e });
+  }
+  try {
+    const res = await client.contact.user.get({ path: { user_id: openId }, params: { user_id_type: "open_id" } });
+    if (res?.data?.user?.name) return res.data.user.name;
+  } catch {}
+  return "";
+}
+
+// The message being replied to, as a quote block plus its images
+async function fetchQuotedMessage(parentId, chatId) {
+  try {
+    const res = await client.im.message.get({ path: { message_id: parentId } });
+    const item = res?.data?.items?.[0];
+    if (!item) return null;
+
+    let content = {};
+    try { content = JSON.parse(item.body?.content || "{}") || {}; } catch {}
+    const imageKeys = [];
+    if (item.msg_type === "image" && content.image_key) imageKeys.push(content.image_key);
+    if (item.msg_type === "post") {
+      const post = content.zh_cn || content.zh_tw || content.en_us || content;
+      for (const line of post.content || []) {
+        for (const node of Array.isArray(line) ? line : []) {
+          if (node.tag === "img" && node.image_key) imageKeys.push(node.image_key);
+        }
+      }
+    }
+    const attachments = [];
+    for (const key of imageKeys) {
+      const result = await downloadResource(parentId, key, { type: "image", filename: `${key}.png` });
+      if (result.path) attachments.push({ kind: "image", path: result.path, name: "" });
+    }
+
+    let text = resolveMentions(subMessageText(item.msg_type, item.body?.content), item.mentions);
+    if (text.length > QUOTE_MAX_CHARS) text = `${text.slice(0, QUOTE_MAX_CHARS)}…`;
+    const name = item.sender?.sender_type === "app" ? botName || "機器人" : await displayNameOf(item.sender?.id, chatId);
+    const quoted = text.split("\n").map((line) => `> ${line}`).join("\n");
+    return { text: `[引用${name ? ` ${name} ` : ""}的訊息]\n${quoted}`, attachments };
+  } catch (e) {
+    log.error("ERROR", `Failed to fetch quoted message ${parentId}`, { err: e });
+    return null;
+  }
+}
+
+// What the agent sees for a turn: earlier group chatter, quoted context,
+// then — in groups — who said it
+function agentPrompt({ text, groupContext, quote, senderName }) {
+  const said = senderName ? `${senderName}：${text}` : text;
+  return [groupContext, quote, said].filter(Boolean).join("\n\n");
+}
+
+async function fetchMergeForwardText(messageId) {
+  try {
+    const res = await client.im.message.get({ path: { message_id: messageId } });
+    const items = (res?.data?.items || []).filter((item) => item.upper_message_id === messageId);
+    if (items.length === 0) return "";
+    const lines = items.map((item) => {
+      const who = item.sender?.id ? `${item.sender.id}: ` : "";
+      return `${who}${subMessageText(item.msg_type, item.body?.content)}`;
+    });
+    return `[合併轉發的訊息]\n${lines.join("\n")}`;
+  } catch (e) {
+    log.error("ERROR", "Failed to fetch merge_forward content", { err: e });
+    return "";
+  }
+}
+
+async function describeSharedChat(shareChatId) {
+  try {
+    const res = await client.im.chat.get({ path: { chat_id: shareChatId } });
+    if (res?.data?.name) return `[分享群組: ${res.data.name} (${shareChatId})]`;
+  } catch {}
+  return `[分享群組: ${shareChatId}]`;
+}
+
+// ─── Per-chat Message Queue ──────────────────────────────────────
+//
+// Messages for one chat are handed to the gateway strictly in arrival order,
+// one turn at a time. A chat stays in chatQueues while a turn is running or
+// queued, which is also what keeps async delivery from racing a live reply.
+
+let QUEUE_MAX_DEPTH, QUEUE_MERGE, QUEUE_MERGE_WINDOW_MS, QUEUE_NOTICE_MS;
+onConfigReload(() => {
+  QUEUE_MAX_DEPTH = setting("queue.maxDepth");
+  QUEUE_MERGE = setting("queue.merge");
+  QUEUE_MERGE_WINDOW_MS = setting("queue.mergeWindowMs");
+  QUEUE_NOTICE_MS = setting("queue.noticeMs");
+});
+
+const chatQueues = new Map(); // chatId → { items, draining, activeSince, activeIds, activeSessionKey }
+const recalledMessages = new Map(); // messageId → recalled at
+const RECALL_TTL_MS = 10 * 60 * 1000;
+
+function isChatBusy(chatId) {
+  return chatQueues.has(chatId);
+}
+
+async function sendNotice(to, text) {
+  try {
+    await sendMessage(to, { msg_type: "text", content: JSON.stringify({ text }) });
+  } catch (e) {
+    log.error("ERROR", "Failed to send notice", { err: e });
+  }
+}
+
+const isCommand = (item) => commandOf(item.text) !== "chat";
+
+// Rapid-fire messages can share a turn as long as neither is a command or a
+// card action aimed at a particular session or card, they come from the same
+// speaker and the later one brings no quote or group context of its own
+function canMergeItems(a, b) {
+  return !isCommand(a) && !isCommand(b) && !a.cardMessageId && !b.cardMessageId && a.sessionKey === b.sessionKey
+    && a.senderName === b.senderName && !b.quote && !b.groupContext;
+}
+
+function mergeItems(a, b) {
+  return {
+    ...a,
+    messageId: b.messageId,
+    messageIds: [...(a.messageIds || [a.messageId]), b.messageId],
+    text: [a.text, b.text].filter(Boolean).join("\n"),
+    attachments: [...a.attachments, ...b.attachments],
+  };
+}
+
+async function enqueueMessage(item) {
+  const { chatId } = item;
+  item.traceId ||= currentTraceId() || newTraceId();
+  if (recalledMessages.has(item.messageId)) {
+    log.info("QUEUE", `${chatId}: ${item.messageId} was recalled, not queuing`);
+    return;
+  }
+  let queue = chatQueues.get(chatId);
+  if (!queue) {
+    queue = { items: [], draining: false, activeSince: 0 };
+    chatQueues.set(chatId, queue);
+  }
+
+  if (queue.items.length >= QUEUE_MAX_DEPTH) {
+    log.warn("QUEUE", `Queue full for ${chatId}, dropping ${item.messageId}`);
+    await sendNotice(chatId, "⚠️ 目前排隊的訊息太多，請稍後再傳送。");
+    return;
+  }
+
+  queue.items.push(item);
+  if (queue.draining) {
+    // Tell the user once their message has been waiting behind a long run
+    const position = queue.items.length;
+    log.info("QUEUE", `${chatId}: ${item.messageId} queued at position ${position}`);
+    if (QUEUE_NOTICE_MS > 0 && queue.activeSince) {
+      const wait = Math.max(QUEUE_NOTICE_MS - (Date.now() - queue.activeSince), 0);
+      item.noticeTimer = setTimeout(() => {
+        sendNotice(chatId, `⏳ 上一則訊息仍在處理中，你的訊息已排入佇列（第 ${position} 位）。`);
+      }, wait);
+    }
+    return;
+  }
+  drainChatQueue(chatId);
+}
+
+async function drainChatQueue(chatId) {
+  const queue = chatQueues.get(chatId);
+  queue.draining = true;
+  // Give rapid-fire messages a moment to arrive so they can share a turn
+  if (QUEUE_MERGE && QUEUE_MERGE_WINDOW_MS > 0) {
+    await new Promise((r) => setTimeout(r, QUEUE_MERGE_WINDOW_MS));
+  }
+
+  while (queue.items.length > 0) {
+    let item = queue.items.shift();
+    clearTimeout(item.noticeTimer);
+    while (QUEUE_MERGE && queue.items.length > 0 && canMergeItems(item, queue.items[0])) {
+      const next = queue.items.shift();
+      clearTimeout(next.noticeTimer);
+      item = mergeItems(item, next);
+      log.info("QUEUE", `${chatId}: merged ${next.messageId} into current turn`, { mergedTraceId: next.traceId });
+    }
+    queue.activeSince = Date.now();
+    queue.activeIds = item.messageIds || [item.messageId];
+    queue.activeSessionKey = "";
+    // Commands don't need the gateway; turns wait out an outage in the
+    // buffer. Either way it logs under the trace of the event that queued it.
+    await withLogContext({ traceId: item.traceId, chatId, messageId: item.messageId }, () =>
+      !isCommand(item) && !gatewayAvailable() ? bufferForOutage(item) : processMessage(item));
+  }
+  chatQueues.delete(chatId);
+}
+
+// Abort the turn currently running for a chat; false if there is none
+async function stopChatRun(chatId, options) {
+  const queue = chatQueues.get(chatId);
+  if (!queue?.activeSessionKey) return false;
+  return stopRun(queue.activeSessionKey, options);
+}
+
+// A recalled message is dropped from the queue, or — if it started the
+// running turn — that turn is aborted and its reply discarded
+async function handleRecall({ message_id: messageId, chat_id: chatId } = {}) {
+  if (!messageId) return;
+  const now = Date.now();
+  for (const [id, ts] of recalledMessages) {
+    if (now - ts > RECALL_TTL_MS) recalledMessages.delete(id);
+  }
+  recalledMessages.set(messageId, now);
+
+  const queue = chatQueues.get(chatId);
+  if (!queue) return;
+  const index = queue.items.findIndex((item) => item.messageId === messageId);
+  if (index >= 0) {
+    clearTimeout(queue.items[index].noticeTimer);
+    queue.items.splice(index, 1);
+    log.info("QUEUE", `${chatId}: removed recalled ${messageId}`);
+    return;
+  }
+  if (queue.activeIds?.includes(messageId) && await stopChatRun(chatId, { discard: true })) {
+    log.info("STOP", `${chatId}: run cancelled, ${messageId} was recalled`);
+  }
+}
+
+const isRecalled = (ids) => ids.some((id) => recalledMessages.has(id));
+
+// ─── Access Control ──────────────────────────────────────────────
+//
+// Every message and card click is checked here before it reaches the queue.
+// Deny lists win, then the tenant allowlist, then the user/chat allowlists
+// (an empty allowlist lets everyone through). Admins pass every check. Lists
+// are the configured values (reloaded on SIGHUP) plus whatever admins add with
+// /access at runtime, which is persisted. Commands are open to "user" (anyone
+// allowed in), "admin" or "off"; plain messages to the agent are the "chat"
+// command.
+
+const ACCESS_LISTS = {
+  "allow-user": "access.allowedUsers",
+  "deny-user": "access.deniedUsers",
+  "allow-chat": "access.allowedChats",
+  "deny-chat": "access.deniedChats",
+  "tenant": "access.allowedTenants",
+  "admin": "access.admins",
+};
+const COMMAND_ROLES = ["user", "admin", "off"];
+
+let ACCESS_DENIED_MESSAGE, COMMAND_DENIED_MESSAGE, COMMAND_DISABLED_MESSAGE, configAccessLists, configCommandRoles;
+onConfigReload(() => {
+  ACCESS_DENIED_MESSAGE = setting("access.deniedMessage");
+  COMMAND_DENIED_MESSAGE = setting("access.commandDeniedMessage");
+  COMMAND_DISABLED_MESSAGE = setting("access.commandDisabledMessage");
+  configAccessLists = Object.fromEntries(
+    Object.entries(ACCESS_LISTS).map(([name, key]) => [name, new Set(setting(key))])
+  );
+  configCommandRoles = new Map(setting("access.commandRoles").map((entry) => {
+    const [command, role] = entry.split(/[:=]/);
+    return [normalizeCommand(command), role.toLowerCase()];
+  }));
+});
+const accessLists = registerState("accessLists", new Map()); // list name → ids added at runtime
+const commandRoles = registerState("commandRoles", new Map()); // command → role set at runtime
+
+function normalizeCommand(command) {
+  const c = String(command || "").trim().toLowerCase();
+  return c === "chat" || c.startsWith("/") ? c : `/${c}`;
+}
+
+// Slash commands the bridge handles itself; any other text — "/foo hello"
+// included — goes to the agent and is checked under the "chat" role
+const BRIDGE_COMMANDS = new Set(["/help", "/reset", "/stop", "/whoami", "/access", "/dlq", "/status", "/agent", "/trigger", "/context", "/draw"]);
+
+// "chat" for messages to the agent, otherwise the slash command itself
+function commandOf(text) {
+  const first = (text || "").trim().split(/\s+/)[0].toLowerCase();
+  return BRIDGE_COMMANDS.has(first) ? first : "chat";
+}
+
+function senderIdsOf(sender) {
+  const ids = sender?.sender_id || sender || {};
+  return [ids.open_id, ids.union_id, ids.user_id].filter(Boolean);
+}
+
+function inAccessList(name, ids) {
+  const runtime = accessLists.get(name) || [];
+  return ids.some((id) => configAccessLists[name].has(id) || runtime.includes(id));
+}
+
+function isAdmin(ids) {
+  return inAccessList("admin", ids);
+}
+
+function listSize(name) {
+  return configAccessLists[name].size + (accessLists.get(name) || []).length;
+}
+
+function commandRole(command) {
+  if (command === "/access") return "admin";
+  return commandRoles.get(command) || configCommandRoles.get(command) || "user";
+}
+
+// Returns null if allowed, otherwise why not ("denied", "disabled",
+// "admin_only"); without a command only the lists are checked
+function checkAccess({ ids, chatId, tenantKey, command = null }) {
+  if (isAdmin(ids)) return null;
+  if (inAccessList("deny-user", ids) || inAccessList("deny-chat", [chatId])) return "denied";
+  if (listSize("tenant") > 0 && !inAccessList("tenant", [tenantKey])) return "denied";
+  const allowlisted = listSize("allow-user") > 0 || listSize("allow-chat") > 0;
+  if (allowlisted && !inAccessList("allow-user", ids) && !inAccessList("allow-chat", [chatId])) return "denied";
+  if (!command) return null;
+
+  const role = commandRole(command);
+  if (role === "off") return "disabled";
+  if (role === "admin") return "admin_only";
+  return null;
+}
+
+// Refusal text for a checkAccess() result; "" means stay silent
+function refusalMessage(reason, command) {
+  const template = reason === "denied" ? ACCESS_DENIED_MESSAGE
+    : reason === "disabled" ? COMMAND_DISABLED_MESSAGE
+    : COMMAND_DENIED_MESSAGE;
+  return template.replace(/\{command\}/g, command === "chat" ? "對話" : command);
+}
+
+async function sendRefusal(chatId, reason, command) {
+  const text = refusalMessage(reason, command);
+  if (text) await sendNotice(chatId, text);
+}
+
+function describeAccess() {
+  const lines = ["🔐 存取控制"];
+  for (const name of Object.keys(ACCESS_LISTS)) {
+    const fixed = [...configAccessLists[name]];
+    const runtime = accessLists.get(name) || [];
+    lines.push(`${name}: ${[...fixed.map((id) => `${id} (config)`), ...runtime].join(", ") || "—"}`);
+  }
+  const roles = new Map([...configCommandRoles, ...commandRoles]);
+  lines.push(`指令權限: ${[...roles].map(([c, r]) => `${c}=${r}`).join(", ") || "全部開放"}`);
+  return lines.join("\n");
+}
+
+const ACCESS_USAGE = `用法：
+/access — 顯示目前的名單與指令權限
+/access add <名單> <ID>
+/access remove <名單> <ID>
+/access role <指令> <user|admin|off|default>
+名單：${Object.keys(ACCESS_LISTS).join("、")}`;
+
+// Admin-only /access command; returns the reply text
+function handleAccessCommand(text) {
+  const [, sub, arg1, arg2] = text.trim().split(/\s+/);
+  if (!sub || sub === "list") return describeAccess();
+
+  if (sub === "add" || sub === "remove") {
+    if (!ACCESS_LISTS[arg1] || !arg2) return ACCESS_USAGE;
+    const runtime = accessLists.get(arg1) || [];
+    if (sub === "add") {
+      if (configAccessLists[arg1].has(arg2) || runtime.includes(arg2)) return `ℹ️ ${arg2} 已在 ${arg1} 名單中。`;
+      accessLists.set(arg1, [...runtime, arg2]);
+    } else {
+      if (configAccessLists[arg1].has(arg2)) return `⚠️ ${arg2} 由設定 ${ACCESS_LISTS[arg1]}（${CONFIG_SCHEMA[ACCESS_LISTS[arg1]].env}）指定，請修改設定檔或環境變數。`;
+      if (!runtime.includes(arg2)) return `ℹ️ ${arg2} 不在 ${arg1} 名單中。`;
+      accessLists.set(arg1, runtime.filter((id) => id !== arg2));
+    }
+    saveStateSoon();
+    log.info("ACCESS", `${sub} ${arg1} ${arg2}`);
+    return `✅ 已${sub === "add" ? "加入" : "移除"} ${arg1}：${arg2}`;
+  }
+
+  if (sub === "role") {
+    const command = arg1 && normalizeCommand(arg1);
+    if (!command || command === "/access" || !(COMMAND_ROLES.includes(arg2) || arg2 === "default")) return ACCESS_USAGE;
+    if (arg2 === "default") commandRoles.delete(command);
+    else commandRoles.set(command, arg2);
+    saveStateSoon();
+    log.info("ACCESS", `role ${command} → ${arg2}`);
+    return `✅ ${command} 權限已設為 ${commandRole(command)}`;
+  }
+
+  return ACCESS_USAGE;
+}
+
+// ─── Threads ─────────────────────────────────────────────────────
+//
+// LARKSUITE_REPLY_MODE picks how a turn is answered: "chat" posts to the
+// chat, "reply" quotes the prompting message, "thread" answers in a topic
+// thread under it. With LARKSUITE_THREAD_SESSIONS each thread — identified by
+// its root message — gets its own session (…:thread:{rootId}); in "thread"
+// mode a top-level message starts one, since our reply opens the thread.
+
+function threadRootOf(message) {
+  if (!THREAD_SESSIONS || !message) return "";
+  if (message.root_id) return message.root_id;
+  return REPLY_MODE === "thread" && message.message_id ? message.message_id : "";
+}
+
+function replyTargetFor(chatId, message) {
+  const messageId = message?.message_id;
+  if (!messageId) return chatId;
+  const inThread = Boolean(message.thread_id);
+  if (REPLY_MODE === "thread") return { chatId, replyTo: messageId, inThread: true };
+  if (REPLY_MODE === "reply") return { chatId, replyTo: messageId, inThread };
+  // Answers from a thread's own session belong in that thread
+  if (inThread && THREAD_SESSIONS) return { chatId, replyTo: messageId, inThread: true };
+  return chatId;
+}
+
+// Where async replies for a session go: its thread, or the chat
+function replyTargetForSession(chatId, sessionKey) {
+  const root = /:thread:([^:]+)$/.exec(sessionKey)?.[1];
+  return root ? { chatId, replyTo: root, inThread: true } : chatId;
+}
+
+// ─── Agent Routing ───────────────────────────────────────────────
+//
+// Each turn goes to one OpenClaw agent, chosen by (first match wins):
+//   1. the chat's /agent override (persisted)
+//   2. the first route in the routes file whose conditions all match
+//   3. CLAWDBOT_AGENT_ID
+// The agent is carried in the session key sent with chat.send —
+// agent:{agentId}:larksuite:{chatId}[:suffix] — which is how the gateway
+// routes it and how async delivery finds the chat again.
+//
+//   { "routes": [
+//       { "chat": "oc_…", "agent": "ops" },
+//       { "chatType": "group", "keywords": ["翻譯", "translate"], "agent": "translator" },
+//       { "chatType": "p2p", "agent": "personal" } ] }
+
+const AGENT_ROUTES_PATH = setting("agent.routesPath");
+const AGENT_ID_REGEX = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+const agentRoutes = (() => {
+  const raw = tryReadFile(AGENT_ROUTES_PATH);
+  if (!raw) return [];
+  try {
+    const routes = JSON.parse(raw)?.routes;
+    if (!Array.isArray(routes)) throw new Error("expected { routes: [...] }");
+    return routes.map((r, i) => {
+      if (!AGENT_ID_REGEX.test(r?.agent || "")) throw new Error(`route ${i}: invalid agent "${r?.agent}"`);
+      const route = {
+        agent: r.agent,
+        chats: r.chat ? [].concat(r.chat) : [],
+        chatType: r.chatType || "",
+        keywords: r.keywords || r.keyword ? [].concat(r.keywords || r.keyword).map((k) => String(k).toLowerCase()) : [],
+      };
+      if (!route.chats.length && !route.chatType && !route.keywords.length) throw new Error(`route ${i}: needs chat, chatType or keywords`);
+      return route;
+    });
+  } catch (e) {
+    log.error("FATAL", `Invalid agent routes file ${AGENT_ROUTES_PATH}: ${e.message}`);
+    process.exit(1);
+  }
+})();
+
+log.info("CONFIG", `Agent: ${CLAWDBOT_AGENT_ID}${agentRoutes.length ? ` (+${agentRoutes.length} route(s))` : ""}`);
+
+const chatAgents = registerState("chatAgents", new Map()); // chatId → agent chosen with /agent
+
+// → { agentId, source: "override" | "route" | "default" }
+function resolveAgent(chatId, { chatType = "", text = "" } = {}) {
+  // An override left over from an older routes file no longer applies
+  const override = chatAgents.get(chatId);
+  if (override && knownAgents().includes(override)) return { agentId: override, source: "override" };
+  const lower = text.toLowerCase();
+  const route = agentRoutes.find((r) => (!r.chats.length || r.chats.includes(chatId))
+    && (!r.chatType || r.chatType === chatType)
+    && (!r.keywords.length || r.keywords.some((k) => lower.includes(k))));
+  if (route) return { agentId: route.agent, source: "route" };
+  return { agentId: CLAWDBOT_AGENT_ID, source: "default" };
+}
+
+function currentSessionKey(chatId, context = {}) {
+  const { agentId } = resolveAgent(chatId, context);
+  const suffix = sessionOverrides.get(chatId);
+  const thread = context.threadRoot ? `:thread:${context.threadRoot}` : "";
+  return `agent:${agentId}:larksuite:${chatId}${suffix ? `:${suffix}` : ""}${thread}`;
+}
+
+const AGENT_SOURCES = { override: "/agent 指定", route: "路由規則", default: "預設" };
+
+// The default agent plus every agent the routes file names
+function knownAgents() {
+  return [...new Set([CLAWDBOT_AGENT_ID, ...agentRoutes.map((r) => r.agent)])];
+}
+
+// /agent [id|default]; returns the reply text. Anyone may look; switching is
+// for bridge admins and, in groups, the group's owner and managers.
+async function handleAgentCommand(chatId, text, context, senderIds) {
+  const arg = text.trim().split(/\s+/)[1];
+  if (!arg) {
+    const { agentId, source } = resolveAgent(chatId, context);
+    return `🤖 目前 Agent: ${agentId}（${AGENT_SOURCES[source]}）\n已知 Agent: ${knownAgents().join(", ")}\n用法: /agent <id> 切換，/agent default 恢復預設`;
+  }
+  const allowed = context.chatType === "group" ? await canManageGroup(chatId, senderIds) : isAdmin(senderIds);
+  if (!allowed) return "🚫 只有群主、群管理員或機器人管理員可以切換 Agent。";
+  if (arg === "default") {
+    chatAgents.delete(chatId);
+    saveStateSoon();
+    log.info("AGENT", `${chatId} → routing/default`);
+    const { agentId } = resolveAgent(chatId, context);
+    return `✅ 已恢復預設 Agent（目前: ${agentId}）`;
+  }
+  if (!knownAgents().includes(arg)) return `⚠️ 未知的 Agent: ${arg}\n已知 Agent: ${knownAgents().join(", ")}`;
+  chatAgents.set(chatId, arg);
+  saveStateSoon();
+  log.info("AGENT", `${chatId} → ${arg}`);
+  return `✅ 此聊天室已切換到 Agent: ${arg}`;
+}
+
 // ─── Message Handler ─────────────────────────────────────────────
 
 async function handleMessage(data) {
-  let _chatId = null;
   try {
     const { message } = data;
-    const chatId = _chatId = message?.chat_id;
+    const chatId = message?.chat_id;
     const messageId = message?.message_id;
     if (!chatId) return;
-    activeHandleSessions.add(chatId);
 
-    if (isDuplicate(messageId)) { console.log(`[DEDUP] Skipping duplicate ${messageId}`); return; }
+    if (isDuplicate(messageId)) {
+      dedupHitsTotal.inc();
+      log.info("DEDUP", `Skipping duplicate ${messageId}`);
+      return;
+    }
+    // A message from a chat proves the bot is (back) in it
+    if (departedChats.delete(chatId)) saveStateSoon();
+
+    // Turn away senders the policy doesn't admit before downloading anything;
+    // in groups only say so when someone was @mentioned
+    const senderIds = senderIdsOf(data.sender);
+    const tenantKey = data.sender?.tenant_key || "";
+    if (checkAccess({ ids: senderIds, chatId, tenantKey })) {
+      log.info("ACCESS", `Denied ${senderIds[0] || "unknown sender"} in ${chatId}`);
+      if (message?.chat_type !== "group" || isBotMentioned(message?.mentions)) await sendRefusal(chatId, "denied", "chat");
+      return;
+    }
 
     const messageType = message?.message_type;
-    console.log(`[DEBUG] chat=${chatId} type=${messageType} chat_type=${message?.chat_type}`);
+    messagesReceivedTotal.inc({ type: KNOWN_MESSAGE_TYPES.has(messageType) ? messageType : "other" });
+    log.debug("MSG", "Incoming message", { chatId, messageType, chatType: message?.chat_type });
     let text = "";
-    let mediaPath = null;
+    const pending = [];     // attachments to download once we know we'll answer
+    const attachments = []; // { kind, path, name }
+    const rejected = [];    // user-facing notes for attachments we couldn't take
+
+    const addAttachment = (kind, fileKey, opts = {}) => pending.push({ kind, fileKey, ...opts });
+    const download = async ({ kind, fileKey, type = "file", name = "", ext = "" }) => {
+      const filename = name ? `${fileKey}_${safeFileName(name)}` : `${fileKey}${ext}`;
+      const result = await downloadResource(messageId, fileKey, { type, filename });
+      const label = `${ATTACHMENT_LABELS[kind]}${name ? `「${name}」` : ""}`;
+      if (result.path) attachments.push({ kind, path: result.path, name });
+      else if (result.error === "too_large") rejected.push(`${label}${result.size ? `（${formatMB(result.size)}）` : ""}超過 ${formatMB(MAX_INBOUND_FILE_BYTES)} 上限`);
+      else rejected.push(`${label}下載失敗`);
+    };
+
+    let content = {};
+    try { content = JSON.parse(message?.content || "{}") || {}; } catch {}
 
     // Handle text messages
-    if (messageType === "text" && message?.content) {
-      try {
-        text = (JSON.parse(message.content)?.text || "").trim();
-      } catch {}
+    if (messageType === "text") {
+      text = (content.text || "").trim();
     }
     // Handle image messages
-    else if (messageType === "image" && message?.content) {
-      try {
-        const content = JSON.parse(message.content);
-        const imageKey = content?.image_key;
-        if (imageKey) {
-          mediaPath = await downloadImage(messageId, imageKey);
-          text = "[收到圖片]";
-        }
-      } catch {}
+    else if (messageType === "image") {
+      if (content.image_key) {
+        addAttachment("image", content.image_key, { type: "image", ext: ".png" });
+        text = "[收到圖片]";
+      }
     }
     // Handle post (rich text) messages
-    else if (messageType === "post" && message?.content) {
-      try {
-        const content = JSON.parse(message.content);
-        // Collect image keys from post
-        const postImageKeys = [];
-        const extractText = (node) => {
-          if (!node) return "";
-          if (typeof node === "string") return node;
-          if (node.tag === "text") return node.text || "";
-          if (node.tag === "a") return node.text || node.href || "";
-          if (node.tag === "at") return "";
-          if (node.tag === "img") {
-            if (node.image_key) postImageKeys.push(node.image_key);
-            return "[圖片]";
-          }
-          if (Array.isArray(node)) return node.map(extractText).join("");
-          if (node.content) return node.content.map(line => 
-            (Array.isArray(line) ? line.map(extractText).join("") : extractText(line))
-          ).join("\n");
-          return "";
-        };
-        // post content can be { zh_cn: { title, content }, en_us: ... } or { title, content }
-        const post = content.zh_cn || content.zh_tw || content.en_us || content;
-        const title = post.title || "";
-        const body = (post.content || []).map(line =>
-          (Array.isArray(line) ? line.map(extractText).join("") : "")
-        ).join("\n");
-        text = (title ? title + "\n" : "") + body;
-        text = text.trim();
-        // Download first image from post if any
-        if (postImageKeys.length > 0 && !mediaPath) {
-          for (const imgKey of postImageKeys) {
-            try {
-              mediaPath = await downloadImage(messageId, imgKey);
-              console.log(`[IMAGE] Extracted from post: ${imgKey}`);
-              break; // take first image
-            } catch (e) {
-              console.error(`[ERROR] Failed to download post image ${imgKey}:`, e.message);
-            }
-          }
+    else if (messageType === "post") {
+      // Collect image keys from post
+      const postImageKeys = [];
+      const extractText = (node) => {
+        if (!node) return "";
+        if (typeof node === "string") return node;
+        if (node.tag === "text") return node.text || "";
+        if (node.tag === "a") return node.text || node.href || "";
+        if (node.tag === "at") return mentionPlaceholder(node);
+        if (node.tag === "img") {
+          if (node.image_key) postImageKeys.push(node.image_key);
+          return "[圖片]";
         }
-      } catch {}
+        if (Array.isArray(node)) return node.map(extractText).join("");
+        if (node.content) return node.content.map(line => 
+          (Array.isArray(line) ? line.map(extractText).join("") : extractText(line))
+        ).join("\n");
+        return "";
+      };
+      // post content can be { zh_cn: { title, content }, en_us: ... } or { title, content }
+      const post = content.zh_cn || content.zh_tw || content.en_us || content;
+      const title = post.title || "";
+      const body = (post.content || []).map(line =>
+        (Array.isArray(line) ? line.map(extractText).join("") : "")
+      ).join("\n");
+      text = (title ? title + "\n" : "") + body;
+      text = text.trim();
+      // Every image in the post goes along
+      for (const imgKey of postImageKeys) {
+        addAttachment("image", imgKey, { type: "image", ext: ".png" });
+        log.info("IMAGE", `Extracted from post: ${imgKey}`);
+      }
+    }
+    // Handle file / audio / video messages
+    else if (messageType === "file" || messageType === "audio" || messageType === "media") {
+      if (content.file_key) {
+        const kind = { file: "file", audio: "audio", media: "video" }[messageType];
+        addAttachment(kind, content.file_key, { name: content.file_name || "", ext: messageType === "audio" ? ".opus" : "" });
+        const duration = content.duration ? `，${Math.round(content.duration / 1000)} 秒` : "";
+        text = `[收到${ATTACHMENT_LABELS[kind]}${content.file_name ? `: ${content.file_name}` : ""}${duration}]`;
+      }
+    }
+    // Stickers can't be downloaded through the message resource API
+    else if (messageType === "sticker") {
+      text = "[貼圖]";
+    }
+    else if (messageType === "share_chat") {
+      text = content.chat_id ? await describeSharedChat(content.chat_id) : "";
+    }
+    else if (messageType === "share_user") {
+      text = content.user_id ? `[分享聯絡人: ${content.user_id}]` : "";
+    }
+    else if (messageType === "location") {
+      const coords = content.latitude && content.longitude ? ` (${content.latitude}, ${content.longitude})` : "";
+      text = `[位置] ${content.name || ""}${coords}`.trim();
+    }
+    else if (messageType === "merge_forward") {
+      text = (await fetchMergeForwardText(messageId)) || "[合併轉發的訊息]";
+    }
+    else if (messageType === "interactive") {
+      text = interactiveCardText(content);
     }
     // Handle other message types
     else {
-      console.log(`[SKIP] Unsupported message type: ${messageType}`);
+      log.info("SKIP", `Unsupported message type: ${messageType}`);
+      return;
+    }
+
+    if (!text && pending.length === 0) return;
+
+    // Decide whether to answer from the text and attachment metadata; a group
+    // message we won't answer is only buffered as text, never downloaded
+    const mentions = Array.isArray(message?.mentions) ? message.mentions : [];
+    text = resolveMentions(text, mentions);
+    if (!text && pending.length === 0) return;
+    if (message?.chat_type === "group" && !shouldRespondInGroup(chatId, text, mentions, pending.length > 0)) {
+      bufferGroupMessage(chatId, senderIds[0], text);
+      return;
+    }
+
+    const command = commandOf(text);
+    const refusal = checkAccess({ ids: senderIds, chatId, tenantKey, command });
+    if (refusal) {
+      log.info("ACCESS", `${command} refused (${refusal}) for ${senderIds[0] || "unknown sender"} in ${chatId}`);
+      await sendRefusal(chatId, refusal, command);
       return;
     }
 
-    if (!text && !mediaPath) return;
+    for (const attachment of pending) await download(attachment);
+    if (rejected.length > 0) {
+      await sendMessage(chatId, { msg_type: "text", content: JSON.stringify({ text: `⚠️ 以下附件未傳送給 AI：\n${rejected.map((r) => `• ${r}`).join("\n")}` }) }).catch((e) => log.error("ERROR", "Failed to send attachment notice", { err: e }));
+      if (attachments.length === 0) return;
+    }
+
+    // /stop can't wait in the queue behind the run it is meant to stop
+    if (commandOf(text) === "/stop") {
+      const stopped = await stopChatRun(chatId);
+      log.info("STOP", `${chatId}: ${stopped ? "run aborted" : "nothing running"}`);
+      await sendNotice(replyTargetFor(chatId, message), stopped ? "⏹ 已停止目前的回覆。" : "目前沒有進行中的回覆。");
+      return;
+    }
 
-    if (message?.chat_type === "group") {
-      const mentions = Array.isArray(message?.mentions) ? message.mentions : [];
-      text = text.replace(/@_user_\d+\s*/g, "").trim();
-      if (!text && !mediaPath) return;
-      if (!mediaPath && !shouldRespondInGroup(text, mentions)) return;
+    // Context for the agent: what the group said since the bot last spoke, the
+    // message being replied to (unless the thread already has its own
+    // session) and, in groups, who is speaking
+    let groupContext = "";
+    let quote = "";
+    let senderName = "";
+    if (command === "chat") {
+      if (message?.chat_type === "group") groupContext = await takeGroupContext(chatId);
+      if (message?.parent_id && !threadRootOf(message)) {
+        const quoted = await fetchQuotedMessage(message.parent_id, chatId);
+        if (quoted) {
+          quote = quoted.text;
+          attachments.push(...quoted.attachments);
+        }
+      }
+      if (message?.chat_type === "group") senderName = await displayNameOf(senderIds[0], chatId);
     }
 
+    await enqueueMessage({ chatId, messageId, message, text, groupContext, quote, senderName, attachments, senderIds, tenantKey });
+  } catch (e) {
+    log.error("ERROR", "Message handler failed", { err: e, stack: e.stack });
+  }
+}
+
+function resetSession(chatId) {
+  const newSuffix = Date.now().toString(36);
+  sessionOverrides.set(chatId, newSuffix);
+  saveStateSoon();
+  log.info("RESET", `Session reset for ${chatId} → suffix: ${newSuffix}`);
+}
+
+// Runs one queued turn: commands, or a round trip to the agent. Card actions
+// pass `sessionKey` to target the session a reply came from, and
+// `cardMessageId` / `cardText` to stream into the clicked card (restoring the
+// text it showed if the new run produces nothing).
+async function processMessage(item) {
+  const { chatId, messageId, messageIds = [messageId], message, text, groupContext = "", quote = "", senderName = "", attachments, senderIds = [], tenantKey = "", sessionKey: targetSessionKey, cardMessageId, cardText = "", target } = item;
+  const to = target || replyTargetFor(chatId, message);
+  const sessionContext = { chatType: message?.chat_type, text, threadRoot: threadRootOf(message) };
+  try {
     // Handle /help command — list available commands
-    if (text.trim().toLowerCase() === "/help") {
-      await client.im.message.create({
-        params: { receive_id_type: "chat_id" },
-        data: { receive_id: chatId, msg_type: "text", content: JSON.stringify({ text: 
+    if (commandOf(text) === "/help") {
+      await sendMessage(to, { msg_type: "text", content: JSON.stringify({ text: 
 `📋 可用指令：
 
 /help — 顯示此說明
 /reset — 重置對話 session（開始新對話）
-/status — 顯示目前 session 資訊
+/stop — 停止目前正在產生的回覆
+/whoami — 顯示你的 open_id 與聊天室 ID
+/access — 管理存取名單與指令權限（管理員）
+/dlq — 查看並重送發送失敗的訊息（管理員）
+/status — 顯示目前 session 與 Agent 資訊
+/agent <id> — 切換此聊天室使用的 Agent（群主/管理員）
+/trigger — 設定群組觸發模式（群主/管理員）
+/context — 查看或清除群組脈絡緩衝（clear / on / off）
 /draw <描述> — AI 生圖（Gemini Imagen）
 
 💬 一般訊息直接傳送給 AI 助理
-📷 傳送圖片會自動辨識分析` }) },
-      });
+📷 傳送圖片會自動辨識分析
+🔘 回覆卡片下方可按「重新生成」「繼續」「新對話」，回覆中可按「停止」` }) });
       return;
     }
 
     // Handle /draw command — generate image with Gemini
-    if (text.trim().toLowerCase().startsWith("/draw")) {
-      const prompt = text.trim().slice(5).trim();
+    if (commandOf(text) === "/draw") {
+      const prompt = text.trim().replace(/^\S+/, "").trim();
       if (!prompt) {
-        await client.im.message.create({
-          params: { receive_id_type: "chat_id" },
-          data: { receive_id: chatId, msg_type: "text", content: JSON.stringify({ text: "⚠️ 用法: /draw <圖片描述>\n例如: /draw 一隻在月球上的貓" }) },
-        });
+        await sendMessage(to, { msg_type: "text", content: JSON.stringify({ text: "⚠️ 用法: /draw <圖片描述>\n例如: /draw 一隻在月球上的貓" }) });
         return;
       }
       // Send thinking placeholder
       let drawPlaceholderId = "";
       try {
-        const res = await client.im.message.create({
-          params: { receive_id_type: "chat_id" },
-          data: { receive_id: chatId, msg_type: "text", content: JSON.stringify({ text: "🎨 生成中…" }) },
-        });
+        const res = await sendMessage(to, { msg_type: "text", content: JSON.stringify({ text: "🎨 生成中…" }) }, { deadLetter: false });
         drawPlaceholderId = res?.data?.message_id || "";
       } catch {}
 
@@ -506,282 +3143,991 @@ async function handleMessage(data) {
         const result = await generateImage(prompt);
         // Delete placeholder
         if (drawPlaceholderId) {
-          try { await client.im.message.delete({ path: { message_id: drawPlaceholderId } }); } catch {}
+          try { await larkCall("delete", () => client.im.message.delete({ path: { message_id: drawPlaceholderId } }), { chatId }); } catch {}
         }
         if (result.imagePath) {
           const imageKey = await uploadImage(result.imagePath);
           if (imageKey) {
-            await sendImageMessage(chatId, imageKey, prompt);
-            console.log(`[DRAW] Generated and sent image for: "${prompt}"`);
+            await sendImageMessage(to, imageKey, prompt);
+            log.info("DRAW", "Generated and sent image", { prompt });
           }
           // Send text description if any
           if (result.text) {
-            await client.im.message.create({
-              params: { receive_id_type: "chat_id" },
-              data: { receive_id: chatId, msg_type: "text", content: JSON.stringify({ text: result.text }) },
-            });
+            await sendMessage(to, { msg_type: "text", content: JSON.stringify({ text: result.text }) });
           }
           // Clean up temp file
           try { fs.unlinkSync(result.imagePath); } catch {}
         } else {
-          await client.im.message.create({
-            params: { receive_id_type: "chat_id" },
-            data: { receive_id: chatId, msg_type: "text", content: JSON.stringify({ text: `❌ 生圖失敗：${result.error || "未知錯誤"}` }) },
-          });
+          await sendMessage(to, { msg_type: "text", content: JSON.stringify({ text: `❌ 生圖失敗：${result.error || "未知錯誤"}` }) });
         }
       } catch (e) {
         if (drawPlaceholderId) {
-          try { await client.im.message.delete({ path: { message_id: drawPlaceholderId } }); } catch {}
+          try { await larkCall("delete", () => client.im.message.delete({ path: { message_id: drawPlaceholderId } }), { chatId }); } catch {}
         }
-        console.error("[DRAW] Error:", e.message);
-        await client.im.message.create({
-          params: { receive_id_type: "chat_id" },
-          data: { receive_id: chatId, msg_type: "text", content: JSON.stringify({ text: `❌ 生圖失敗：${e.message}` }) },
-        });
+        log.error("DRAW", "Image generation failed", { err: e });
+        await sendMessage(to, { msg_type: "text", content: JSON.stringify({ text: `❌ 生圖失敗：${e.message}` }) });
+      }
+      return;
+    }
+
+    // Handle /reset command — start a new session
+    if (commandOf(text) === "/reset") {
+      resetSession(chatId);
+      await sendMessage(to, { msg_type: "text", content: JSON.stringify({ text: "✅ Session 已重置，開始新對話。" }) });
+      return;
+    }
+
+    // Handle /whoami command — show the IDs access control matches on
+    if (commandOf(text) === "/whoami") {
+      const [openId, ...otherIds] = senderIds;
+      await sendNotice(to, `🪪 open_id: ${openId || "unknown"}${otherIds.length ? `\n其他 ID: ${otherIds.join(", ")}` : ""}\nChat: ${chatId}\nTenant: ${tenantKey || "unknown"}${isAdmin(senderIds) ? "\n角色: 管理員" : ""}`);
+      return;
+    }
+
+    // Handle /access command — admins manage the access lists at runtime
+    if (commandOf(text) === "/access") {
+      await sendNotice(to, handleAccessCommand(text));
+      return;
+    }
+
+    // Handle /dlq command — admins inspect and replay messages that failed to send
+    if (commandOf(text) === "/dlq") {
+      await sendNotice(to, await handleDlqCommand(text, senderIds));
+      return;
+    }
+
+    // Handle /trigger command — when the bot speaks up in this group
+    if (commandOf(text) === "/trigger") {
+      const reply = message?.chat_type === "group"
+        ? await handleTriggerCommand(chatId, text, senderIds)
+        : "ℹ️ /trigger 只適用於群組。";
+      await sendNotice(to, reply);
+      return;
+    }
+
+    // Handle /context command — the buffer of messages the bot didn't answer
+    if (commandOf(text) === "/context") {
+      const reply = message?.chat_type === "group"
+        ? await handleContextCommand(chatId, text, senderIds)
+        : "ℹ️ /context 只適用於群組。";
+      await sendNotice(to, reply);
+      return;
+    }
+
+    // Handle /agent command — pick the agent for this chat
+    if (commandOf(text) === "/agent") {
+      await sendNotice(to, await handleAgentCommand(chatId, text, sessionContext, senderIds));
+      return;
+    }
+
+    // Handle /status command — show current session info
+    if (commandOf(text) === "/status") {
+      const sk = currentSessionKey(chatId, sessionContext);
+      const { agentId, source } = resolveAgent(chatId, sessionContext);
+      await sendMessage(to, { msg_type: "text", content: JSON.stringify({ text: `📊 Session: ${sk}\nAgent: ${agentId}（${AGENT_SOURCES[source]}）\nChat: ${chatId}\nType: ${message?.chat_type || "unknown"}` }) });
+      return;
+    }
+
+    const sessionKey = targetSessionKey || currentSessionKey(chatId, sessionContext);
+    const prompt = agentPrompt({ text, groupContext, quote, senderName });
+    const queue = chatQueues.get(chatId);
+    if (queue) queue.activeSessionKey = sessionKey;
+    if (isRecalled(messageIds)) return;
+    log.info("MSG", `Received from ${chatId}`, { text, attachments: attachments.map((a) => a.kind) });
+
+    let card = null;
+    let done = false;
+    let failed = false;
+    let streamed = "";
+    const streamText = (t) => t.replace(/MEDIA:\/[^\s]+/g, "").trim();
+
+    // Remembered so the reply's buttons can re-run or continue this turn. The
+    // group context is left out: it was handed to the session already, and
+    // chatter from people who never addressed the bot isn't persisted.
+    const ctxId = REPLY_BUTTONS ? rememberReplyContext({ chatId, chatType: message?.chat_type, sessionKey, target: to, text: agentPrompt({ text, quote, senderName }), attachments }) : "";
+
+    if (cardMessageId) card = createReplyCard(to, "", { ctxId, messageId: cardMessageId });
+
+    // A card we took over still holds the user's earlier answer: put that
+    // back instead of deleting it. Thinking cards we sent are just removed.
+    const dropCard = async (state = "done") => {
+      if (!card) return;
+      if (!cardMessageId) return card.remove();
+      if (await card.finish(cardText, state)) setReplyCardText(ctxId, cardText);
+    };
+    const timer = THINKING_THRESHOLD_MS > 0 && !card
+      ? setTimeout(() => {
+          if (done) return;
+          thinkingPlaceholdersTotal.inc();
+          card = createReplyCard(to, streamText(streamed), { ctxId });
+        }, THINKING_THRESHOLD_MS)
+      : null;
+
+    const onDelta = (t) => {
+      streamed = t;
+      if (card) card.update(streamText(t));
+    };
+
+    // The same key on a replay lets the gateway drop a turn it did get
+    item.idempotencyKey ||= uuid();
+    let reply = { text: "", mediaUrls: [] };
+    const runStartedAt = Date.now();
+    const observeRun = (outcome) => gatewayRunSeconds.observe({ outcome }, (Date.now() - runStartedAt) / 1000);
+    try {
+      reply = await askMoltbot({ text: prompt, sessionKey, attachments, onDelta, idempotencyKey: item.idempotencyKey });
+      observeRun(reply.timedOut || (reply.aborted ? "aborted" : "ok"));
+      if (reply.timedOut) recordGatewayFailure(new GatewayError(reply.timedOut, "run timed out"));
+      else recordGatewaySuccess();
+    } catch (e) {
+      observeRun(e.code || "error");
+      log.error("GATEWAY", `Turn failed for ${sessionKey}: ${e.code || ""} ${e.message}`);
+      if (e.code === "agent_error") recordGatewaySuccess();
+      else recordGatewayFailure(e);
+      // Never reached the gateway: hold the turn until it's back
+      if (e.code === "unavailable") {
+        done = true;
+        if (timer) clearTimeout(timer);
+        await dropCard();
+        await bufferForOutage(item);
+        return;
       }
+      failed = true;
+      reply = { text: statusMessage(STATUS_MESSAGES[LOCALE][e.code] ? e.code : "agent_error"), mediaUrls: [] };
+    } finally {
+      done = true;
+      if (timer) clearTimeout(timer);
+    }
+    if (reply.timedOut) {
+      failed = true;
+      reply.text = `${reply.text}\n\n${statusMessage(reply.timedOut)}`;
+    }
+
+    // Extract MEDIA: paths and bare local file paths from reply text
+    const { text: cleanText, paths: localMediaPaths } = extractReplyMedia(reply.text || "");
+
+    // Recalled prompt or stopped before any text: post nothing, and keep
+    // async delivery from picking up whatever the aborted run left behind
+    if (reply.discarded || isRecalled(messageIds) || (reply.aborted && !cleanText)) {
+      await dropCard(reply.aborted ? "stopped" : "done");
+      await advanceCursorPastRun(sessionKey, { prompt });
+      log.info("STOP", `${chatId}: reply discarded`);
+      return;
+    }
+
+    const trimmed = cleanText;
+    if (!trimmed || trimmed === "NO_REPLY" || trimmed.endsWith("NO_REPLY")) {
+      await dropCard();
       return;
     }
 
-    // Handle /reset command — start a new session
-    if (text.trim().toLowerCase() === "/reset") {
-      const newSuffix = Date.now().toString(36);
-      sessionOverrides.set(chatId, newSuffix);
-      console.log(`[RESET] Session reset for ${chatId} → suffix: ${newSuffix}`);
-      await client.im.message.create({
-        params: { receive_id_type: "chat_id" },
-        data: { receive_id: chatId, msg_type: "text", content: JSON.stringify({ text: "✅ Session 已重置，開始新對話。" }) },
-      });
-      return;
-    }
+    // Send text reply — finish the streaming card in place with the first
+    // chunk if one is showing, then send any remaining chunks in order. The
+    // buttons go on the card, or on the last chunk when there is none.
+    const chunks = splitMarkdown(trimmed);
+    const state = failed ? "error" : reply.aborted ? "stopped" : "done";
+    let next = 0;
+    if (card) {
+      if (await card.finish(chunks[0], state)) {
+        next = 1;
+        setReplyCardText(ctxId, chunks[0]);
+      } else {
+        await card.remove();
+      }
+    }
+    // A chunk that fails for good is in the dead-letter queue; keep going so
+    // the rest (and the session cursor) aren't lost with it
+    for (let i = next; i < chunks.length; i++) {
+      try {
+        if (ctxId && next === 0 && i === chunks.length - 1) {
+          await sendReplyCard(to, chunks[i], state, ctxId);
+          setReplyCardText(ctxId, chunks[i]);
+        } else {
+          await sendMarkdownChunk(to, chunks[i]);
+        }
+      } catch (e) {
+        if (!e.deadLetterId) throw e;
+        log.error("MSG", `Reply part ${i + 1}/${chunks.length} for ${chatId} dead-lettered as ${e.deadLetterId}`);
+      }
+    }
+
+    // Send media from mediaUrls if any
+    for (const url of reply.mediaUrls || []) {
+      try {
+        await sendMediaUrl(to, url);
+      } catch (e) {
+        log.error("ERROR", "Failed to send media", { err: e });
+      }
+    }
+
+    // Send local MEDIA: files (e.g. browser screenshots, generated reports)
+    for (const filePath of localMediaPaths) {
+      try {
+        if (await sendLocalMedia(to, filePath)) log.info("FILE", `Sent local media: ${filePath}`);
+      } catch (e) {
+        log.error("ERROR", "Failed to send local media", { err: e });
+      }
+    }
+
+    // Mark as delivered so async delivery won't re-send
+    await advanceCursorPastRun(sessionKey, { prompt, replyText: reply.text });
+    log.info("MSG", `Sent reply to ${chatId}`);
+  } catch (e) {
+    log.error("ERROR", "Message handler failed", { err: e, stack: e.stack });
+  }
+}
+
+const DOWNLOAD_IDLE_TIMEOUT_MS = 30 * 1000;
+const DOWNLOAD_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Download URL to file. Anything but a 2xx (redirects included) is an error,
+// as is a body over `maxBytes` (code "too_large") or a server that stalls —
+// a reply's media must never hold up the chat's queue indefinitely.
+async function downloadUrl(url, destPath, { maxBytes = Infinity } = {}) {
+  return new Promise((resolve, reject) => {
+    const protocol = url.startsWith('https') ? https : http;
+    let file = null;
+    let settled = false;
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(deadline);
+      req.destroy();
+      const removePartial = () => fs.unlink(destPath, () => {});
+      if (file) file.once('close', removePartial).destroy();
+      else removePartial();
+      reject(err);
+    };
+    const tooLarge = (size) => Object.assign(new Error(`${url} is larger than ${maxBytes} bytes`), { code: "too_large", size });
+
+    const req = protocol.get(url, { timeout: DOWNLOAD_IDLE_TIMEOUT_MS }, (response) => {
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        response.resume();
+        return fail(new Error(`${url} answered HTTP ${response.statusCode}`));
+      }
+      const declared = Number(response.headers["content-length"] || 0);
+      if (declared > maxBytes) {
+        response.resume();
+        return fail(tooLarge(declared));
+      }
+      let received = 0;
+      file = fs.createWriteStream(destPath);
+      response.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > maxBytes) fail(tooLarge(received));
+      });
+      response.on('aborted', () => fail(new Error(`${url}: connection closed mid-download`)));
+      file.on('error', fail);
+      file.on('finish', () => file.close(() => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(deadline);
+        resolve();
+      }));
+      response.pipe(file);
+    });
+    req.on('timeout', () => fail(new Error(`${url}: no data for ${DOWNLOAD_IDLE_TIMEOUT_MS / 1000}s`)));
+    req.on('error', fail);
+    const deadline = setTimeout(() => fail(new Error(`${url}: download took longer than ${DOWNLOAD_TIMEOUT_MS / 1000}s`)), DOWNLOAD_TIMEOUT_MS);
+  });
+}
+
+// ─── Card Actions ────────────────────────────────────────────────
+//
+// Reply cards carry buttons whose value is { action, ctx }. `ctx` points at a
+// reply context: the chat, session and prompt of the turn that produced the
+// card, kept for a day so buttons keep working across restarts. Lark posts
+// clicks to /webhook/card (legacy callbacks) or as card.action.trigger
+// events; either way the response updates the clicked card in place.
+
+const REPLY_CONTEXT_TTL_MS = 24 * 60 * 60 * 1000;
+const REPLY_CONTEXT_MAX = 500;
+const replyContexts = registerState("replyContexts", new Map(), {
+  ttlMs: REPLY_CONTEXT_TTL_MS,
+  timestampOf: (ctx) => ctx.ts,
+  maxEntries: REPLY_CONTEXT_MAX,
+});
+
+function rememberReplyContext({ chatId, chatType, sessionKey, target, text, attachments }) {
+  const ctxId = uuid();
+  replyContexts.set(ctxId, { ts: Date.now(), chatId, chatType, sessionKey, target, text, attachments, cardText: "" });
+  saveStateSoon();
+  return ctxId;
+}
+
+// The text the context's card shows, needed to redraw it after a click
+function setReplyCardText(ctxId, cardText) {
+  const ctx = replyContexts.get(ctxId);
+  if (!ctx) return;
+  ctx.cardText = cardText;
+  saveStateSoon();
+}
+
+// Buttons are subject to the same permissions as their command equivalents
+const CARD_ACTION_COMMANDS = { stop: "/stop", new_session: "/reset", regenerate: "chat", continue: "chat" };
+
+// Normalize a legacy callback or a card.action.trigger event
+function parseCardAction(body) {
+  if (body?.header?.event_type === "card.action.trigger") {
+    const e = body.event || {};
+    return {
+      value: e.action?.value,
+      messageId: e.context?.open_message_id,
+      chatId: e.context?.open_chat_id,
+      operatorIds: senderIdsOf(e.operator),
+      tenantKey: e.operator?.tenant_key || body.header?.tenant_key || "",
+    };
+  }
+  return {
+    value: body?.action?.value,
+    messageId: body?.open_message_id,
+    chatId: body?.open_chat_id,
+    operatorIds: senderIdsOf(body),
+    tenantKey: body?.tenant_key || "",
+  };
+}
+
+// Returns { card?, toast? }: the clicked card's new content and a short notice
+async function handleCardAction(body) {
+  const { value, messageId, chatId, operatorIds, tenantKey } = parseCardAction(body);
+  let action = value?.action;
+  let ctxId = value?.ctx;
+  if (typeof value === "string") {
+    try { ({ action, ctx: ctxId } = JSON.parse(value)); } catch {}
+  }
+  const ctx = replyContexts.get(ctxId);
+  log.info("CARD", `Action "${action}" on ${messageId} by ${operatorIds[0] || "unknown"}`);
+
+  if (!ctx || (chatId && ctx.chatId !== chatId)) {
+    return { toast: "這則回覆已過期，請重新傳送訊息。" };
+  }
+  const command = CARD_ACTION_COMMANDS[action] || "chat";
+  const refusal = checkAccess({ ids: operatorIds, chatId: ctx.chatId, tenantKey, command });
+  if (refusal) {
+    log.info("ACCESS", `Card action ${action} refused (${refusal}) for ${operatorIds[0] || "unknown"}`);
+    return { toast: refusalMessage(refusal, command) || "🚫" };
+  }
+  const redraw = (state) => ({ card: buildReplyCard(ctx.cardText, state) });
+
+  switch (action) {
+    case "stop": {
+      // processMessage patches the card to its stopped state once the run settles
+      const stopped = await stopRun(ctx.sessionKey);
+      return { toast: stopped ? "已停止回覆" : "目前沒有進行中的回覆" };
+    }
+
+    case "regenerate": {
+      const attachments = (ctx.attachments || []).filter((a) => fs.existsSync(a.path));
+      enqueueMessage({
+        chatId: ctx.chatId,
+        messageId: `card:${ctxId}:${Date.now()}`,
+        message: { chat_id: ctx.chatId, chat_type: ctx.chatType },
+        text: ctx.text,
+        attachments,
+        senderIds: operatorIds,
+        tenantKey,
+        sessionKey: ctx.sessionKey,
+        target: ctx.target,
+        cardMessageId: messageId,
+        cardText: ctx.cardText,
+      });
+      return redraw("regenerating");
+    }
+
+    case "continue":
+      enqueueMessage({
+        chatId: ctx.chatId,
+        messageId: `card:${ctxId}:${Date.now()}`,
+        message: { chat_id: ctx.chatId, chat_type: ctx.chatType },
+        text: CONTINUE_PROMPT,
+        attachments: [],
+        senderIds: operatorIds,
+        tenantKey,
+        sessionKey: ctx.sessionKey,
+        target: ctx.target,
+      });
+      return redraw("continued");
+
+    case "new_session":
+      resetSession(ctx.chatId);
+      return redraw("new_session");
+
+    default:
+      return { toast: "未知的操作" };
+  }
+}
+
+// ─── Chat Lifecycle ──────────────────────────────────────────────
+//
+// The bot greets a group when it is added and a user the first time they
+// open a DM with it (the p2p "entered" event with no earlier messages), and
+// optionally welcomes new group members. When it is removed from a group or
+// the group is disbanded, everything kept for that chat is dropped and the
+// chat is marked departed so async replies aren't posted where the bot can
+// no longer write; being added back clears the mark.
+
+let WELCOME_MESSAGE, DM_WELCOME_MESSAGE, MEMBER_WELCOME_MESSAGE;
+onConfigReload(() => {
+  WELCOME_MESSAGE = setting("welcome.message");
+  DM_WELCOME_MESSAGE = setting("welcome.dmMessage");
+  MEMBER_WELCOME_MESSAGE = setting("welcome.memberMessage"); // e.g. "歡迎 {names}！"
+});
+const DEPARTED_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const welcomedChats = registerState("welcomedChats", new Map(), { maxEntries: 5000 }); // chatId → welcomed at
+const departedChats = registerState("departedChats", new Map(), { ttlMs: DEPARTED_TTL_MS }); // chatId → removed at
+
+function fillWelcome(template, vars = {}) {
+  return template.replace(/\{(\w+)\}/g, (m, key) => (key in vars ? vars[key] : m));
+}
+
+// Greets a chat once; skipped when the template is empty or access policy
+// wouldn't let the person who brought the bot in use it
+async function sendWelcome(chatId, template, { operatorIds = [], tenantKey = "" } = {}) {
+  if (!template || welcomedChats.has(chatId)) return;
+  if (checkAccess({ ids: operatorIds, chatId, tenantKey })) {
+    log.info("LIFECYCLE", `Not welcoming ${chatId}: access denied`);
+    return;
+  }
+  welcomedChats.set(chatId, Date.now());
+  saveStateSoon();
+  try {
+    await sendReply(chatId, fillWelcome(template, { bot: botName || "AI 助理" }));
+    log.info("LIFECYCLE", `Welcomed ${chatId}`);
+  } catch (e) {
+    log.error("LIFECYCLE", `Failed to welcome ${chatId}`, { err: e });
+  }
+}
+
+// Drop queued turns, the running reply and every per-chat setting and cache
+function forgetChat(chatId) {
+  const queue = chatQueues.get(chatId);
+  if (queue) {
+    for (const item of queue.items) clearTimeout(item.noticeTimer);
+    queue.items.length = 0;
+  }
+  stopChatRun(chatId, { discard: true }).catch(() => {});
+  for (const map of [sessionOverrides, groupTriggers, groupContextSettings, chatAgents, welcomedChats]) map.delete(chatId);
+  for (const map of [groupContexts, groupAdminCache, memberNamesCache]) map.delete(chatId);
+  for (const [ctxId, ctx] of replyContexts) {
+    if (ctx.chatId === chatId) replyContexts.delete(ctxId);
+  }
+  departedChats.set(chatId, Date.now());
+  saveStateSoon();
+}
+
+function isDeparted(chatId) {
+  return departedChats.has(chatId);
+}
+
+async function handleBotAdded(event, header) {
+  const chatId = event?.chat_id;
+  if (!chatId) return;
+  log.info("LIFECYCLE", `Added to ${chatId}${event.name ? ` (${event.name})` : ""}`);
+  if (departedChats.delete(chatId)) saveStateSoon();
+  await sendWelcome(chatId, WELCOME_MESSAGE, {
+    operatorIds: senderIdsOf(event.operator_id),
+    tenantKey: header?.tenant_key || "",
+  });
+}
+
+function handleBotRemoved(event, header) {
+  const chatId = event?.chat_id;
+  if (!chatId) return;
+  forgetChat(chatId);
+  log.info("LIFECYCLE", `${header?.event_type === "im.chat.disbanded_v1" ? "Group disbanded" : "Removed from"} ${chatId}; state cleared`);
+}
+
+async function handleDmEntered(event, header) {
+  const chatId = event?.chat_id;
+  // Someone who has chatted before has a last message; only greet newcomers
+  if (!chatId || event.last_message_id) return;
+  await sendWelcome(chatId, DM_WELCOME_MESSAGE, {
+    operatorIds: senderIdsOf(event.operator_id),
+    tenantKey: header?.tenant_key || "",
+  });
+}
+
+async function handleMembersChanged(event, header) {
+  const chatId = event?.chat_id;
+  if (!chatId) return;
+  memberNamesCache.delete(chatId);
+  if (header?.event_type !== "im.chat.member.user.added_v1" || !MEMBER_WELCOME_MESSAGE) return;
+  const names = (event.users || []).map((u) => u.name).filter(Boolean);
+  if (names.length === 0 || checkAccess({ ids: [], chatId, tenantKey: header?.tenant_key || "" })) return;
+  try {
+    await sendReply(chatId, fillWelcome(MEMBER_WELCOME_MESSAGE, { names: names.join("、"), bot: botName || "AI 助理" }));
+    log.info("LIFECYCLE", `Welcomed ${names.length} new member(s) in ${chatId}`);
+  } catch (e) {
+    log.error("LIFECYCLE", `Failed to welcome members in ${chatId}`, { err: e });
+  }
+}
+
+// ─── Event Handlers ──────────────────────────────────────────────
+//
+// Webhook events are dispatched by `header.event_type` through this registry.
+// To act on another event type, subscribe to it in the Lark console and
+// register a handler here with onEvent(); handlers get (event, header) and
+// run after the webhook has been acknowledged. Card clicks are the exception:
+// their response body updates the card, so the server answers them inline.
+
+const eventHandlers = new Map(); // event type → [handler(event, header)]
+
+function onEvent(type, handler) {
+  if (!eventHandlers.has(type)) eventHandlers.set(type, []);
+  eventHandlers.get(type).push(handler);
+}
+
+function dispatchEvent(type, event, header = {}) {
+  const handlers = eventHandlers.get(type);
+  if (!handlers) {
+    log.info("EVENT", `No handler for ${type}`);
+    return;
+  }
+  for (const handler of handlers) {
+    setImmediate(async () => {
+      try {
+        await handler(event, header);
+      } catch (e) {
+        log.error("ERROR", `${type} handler failed`, { err: e, stack: e.stack });
+      }
+    });
+  }
+}
+
+onEvent("im.message.receive_v1", handleMessage);
+onEvent("im.message.recalled_v1", handleRecall);
+onEvent("im.chat.member.bot.added_v1", handleBotAdded);
+onEvent("im.chat.member.bot.deleted_v1", handleBotRemoved);
+onEvent("im.chat.disbanded_v1", handleBotRemoved);
+onEvent("im.chat.access_event.bot_p2p_chat_entered_v1", handleDmEntered);
+onEvent("im.chat.member.user.added_v1", handleMembersChanged);
+onEvent("im.chat.member.user.deleted_v1", handleMembersChanged);
+onEvent("im.chat.member.user.withdrawn_v1", handleMembersChanged);
+
+// ─── Webhook Verification ────────────────────────────────────────
+//
+// With an encrypt key configured, Lark signs every event request:
+//   X-Lark-Signature = sha256(timestamp + nonce + encryptKey + rawBody)
+// Legacy (unencrypted, schema-less) card callbacks are signed with the
+// verification token instead: sha1(timestamp + nonce + token + rawBody).
+// We check the signature against the raw body, require the timestamp to be
+// fresh and remember nonces so a captured request can't be replayed. Strict
+// mode (default whenever an encrypt key is set) also rejects any unsigned or
+// unencrypted request.
+
+const WEBHOOK_STRICT = Boolean(ENCRYPT_KEY) && setting("webhook.strict");
+const SIGNATURE_MAX_AGE_MS = setting("webhook.signatureMaxAgeS") * 1000;
+const seenNonces = registerState("webhookNonces", new Map(), { ttlMs: SIGNATURE_MAX_AGE_MS * 2 });
+
+// Returns null if the request may proceed, otherwise why it was rejected
+function checkWebhookSignature(headers, rawBody, { legacyCard = false } = {}) {
+  const timestamp = headers["x-lark-request-timestamp"];
+  const nonce = headers["x-lark-request-nonce"];
+  const signature = headers["x-lark-signature"];
+  const secret = legacyCard ? VERIFICATION_TOKEN : ENCRYPT_KEY;
+
+  if (!secret) return legacyCard && WEBHOOK_STRICT ? "no verification token for card callback" : null;
+  if (!signature) return WEBHOOK_STRICT ? "missing signature" : null;
+  if (!timestamp || !nonce) return "missing timestamp or nonce";
+
+  const expected = crypto.createHash(legacyCard ? "sha1" : "sha256")
+    .update(timestamp + nonce + secret)
+    .update(rawBody)
+    .digest("hex");
+  const given = Buffer.from(String(signature));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+    return "bad signature";
+  }
+
+  const age = Math.abs(Date.now() - Number(timestamp) * 1000);
+  if (!Number.isFinite(age) || age > SIGNATURE_MAX_AGE_MS) return "stale timestamp";
+
+  if (seenNonces.has(nonce)) return "replayed nonce";
+  seenNonces.set(nonce, Date.now());
+  saveStateSoon();
+  return null;
+}
+
+// ─── REST API Auth ───────────────────────────────────────────────
+//
+// /api/* requires a bearer token (or X-API-Key) from the API keys file. Each
+// key is limited to the operations and chat IDs it lists ("*" for any):
+//
+//   { "keys": [{ "name": "reports", "token": "…", "operations": ["send-image"], "chats": ["oc_…"] }] }
+//
+// Files sent through the API must resolve (symlinks included) inside one of
+// API_FILE_ROOTS. Every call is appended to the audit log.
+
+const API_KEYS_PATH = setting("api.keysPath");
+const API_FILE_ROOTS = setting("api.fileRoots");
+const API_MAX_BODY_BYTES = setting("api.maxBodyBytes");
+const WEBHOOK_MAX_BODY_BYTES = 1024 * 1024;
+const API_AUDIT_LOG = setting("api.auditLog");
+
+const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest();
+
+const apiKeys = (() => {
+  const raw = tryReadFile(API_KEYS_PATH);
+  if (!raw) return [];
+  try {
+    const keys = JSON.parse(raw)?.keys;
+    if (!Array.isArray(keys)) throw new Error("expected { keys: [...] }");
+    return keys.filter((k) => k?.token).map((k) => ({
+      name: k.name || "unnamed",
+      tokenHash: sha256(k.token),
+      operations: Array.isArray(k.operations) ? k.operations : ["*"],
+      chats: Array.isArray(k.chats) ? k.chats : [],
+    }));
+  } catch (e) {
+    log.error("FATAL", `Invalid API keys file ${API_KEYS_PATH}: ${e.message}`);
+    process.exit(1);
+  }
+})();
+
+log.info("CONFIG", `REST API: ${apiKeys.length ? `${apiKeys.length} key(s)` : "disabled (no API keys)"}`);
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Read the request body, failing with 413 once it exceeds `limit` bytes
+async function readBody(req, limit) {
+  const declared = Number(req.headers["content-length"] || 0);
+  if (declared > limit) throw new HttpError(413, "Request body too large");
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw new HttpError(413, "Request body too large");
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function findApiKey(req) {
+  const auth = req.headers.authorization || "";
+  const token = /^Bearer\s+(.+)$/i.exec(auth)?.[1] || req.headers["x-api-key"];
+  if (!token) return null;
+  const hash = sha256(token.trim());
+  return apiKeys.find((k) => crypto.timingSafeEqual(k.tokenHash, hash)) || null;
+}
 
-    // Handle /status command — show current session info
-    if (text.trim().toLowerCase() === "/status") {
-      const suffix = sessionOverrides.get(chatId);
-      const sk = suffix ? `larksuite:${chatId}:${suffix}` : `larksuite:${chatId}`;
-      await client.im.message.create({
-        params: { receive_id_type: "chat_id" },
-        data: { receive_id: chatId, msg_type: "text", content: JSON.stringify({ text: `📊 Session: ${sk}\nChat: ${chatId}\nType: ${message?.chat_type || "unknown"}` }) },
-      });
-      return;
-    }
+const allows = (list, value) => list.includes("*") || list.includes(value);
 
-    const suffix = sessionOverrides.get(chatId);
-    const sessionKey = suffix ? `larksuite:${chatId}:${suffix}` : `larksuite:${chatId}`;
-    console.log(`[MSG] Received: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}" from ${chatId}${mediaPath ? ' (with image)' : ''}`);
+// Whether an already-resolved path lies inside one of API_FILE_ROOTS
+function isInFileRoots(real) {
+  return API_FILE_ROOTS.some((root) => {
+    let realRoot;
+    try { realRoot = fs.realpathSync(root); } catch { return false; }
+    return real === realRoot || real.startsWith(realRoot + path.sep);
+  });
+}
 
-    let placeholderId = "";
-    let done = false;
+// Resolve a requested upload path and make sure it stays inside API_FILE_ROOTS
+function resolveApiFilePath(filePath) {
+  let real;
+  try {
+    real = fs.realpathSync(resolve(String(filePath)));
+  } catch {
+    throw new HttpError(404, "file not found");
+  }
+  if (!isInFileRoots(real)) throw new HttpError(403, "file_path is outside the allowed directories");
+  if (!fs.statSync(real).isFile()) throw new HttpError(400, "file_path is not a file");
+  return real;
+}
 
-    const timer = THINKING_THRESHOLD_MS > 0
-      ? setTimeout(async () => {
-          if (done) return;
-          try {
-            const res = await client.im.message.create({
-              params: { receive_id_type: "chat_id" },
-              data: { receive_id: chatId, msg_type: "text", content: JSON.stringify({ text: "Thinking…" }) },
-            });
-            placeholderId = res?.data?.message_id || "";
-          } catch {}
-        }, THINKING_THRESHOLD_MS)
-      : null;
+function auditApiCall(entry) {
+  const line = JSON.stringify({ ts: new Date().toISOString(), ...entry });
+  log.info("AUDIT", `${entry.op} → ${entry.status}`, entry);
+  fs.mkdir(path.dirname(API_AUDIT_LOG), { recursive: true }, () => {
+    fs.appendFile(API_AUDIT_LOG, line + "\n", (e) => {
+      if (e) log.error("AUDIT", "Failed to write audit log", { err: e });
+    });
+  });
+}
 
-    let reply = { text: "", mediaUrls: [] };
+// Shared plumbing for /api/* routes: body limit, JSON, auth, chat scope,
+// audit. `handler(body, key)` returns the JSON response on success; an empty
+// body (e.g. a GET) is treated as {}.
+async function handleApiRequest(req, res, operation, handler) {
+  const audit = { op: operation, ip: req.socket.remoteAddress, key: null, chat_id: null };
+  let status = 200;
+  let payload;
+  try {
+    const key = findApiKey(req);
+    if (!key) throw new HttpError(401, "invalid or missing API key");
+    audit.key = key.name;
+    if (!allows(key.operations, operation)) throw new HttpError(403, `key not allowed to ${operation}`);
+
+    let body;
     try {
-      reply = await askMoltbot({ text, sessionKey, mediaPath });
+      const raw = (await readBody(req, API_MAX_BODY_BYTES)).toString("utf8");
+      body = raw.trim() ? JSON.parse(raw) : {};
     } catch (e) {
-      reply = { text: `(System error) ${e?.message || String(e)}`, mediaUrls: [] };
-    } finally {
-      done = true;
-      if (timer) clearTimeout(timer);
+      throw e instanceof HttpError ? e : new HttpError(400, "Invalid JSON");
     }
+    audit.chat_id = body?.chat_id || null;
+    if (body?.file_path) audit.file_path = body.file_path;
+    if (body?.chat_id && !allows(key.chats, body.chat_id)) throw new HttpError(403, "key not allowed for this chat_id");
 
-    // Extract MEDIA: local file paths from reply text
-    const mediaPathRegex = /MEDIA:(\/[^\s]+)/g;
-    const localMediaPaths = [];
-    let cleanText = reply.text || "";
-    let m;
-    while ((m = mediaPathRegex.exec(cleanText)) !== null) {
-      localMediaPaths.push(m[1]);
-    }
-    cleanText = cleanText.replace(/MEDIA:\/[^\s]+/g, "").trim();
-
-    // Also detect bare image file paths in reply text (e.g. /Users/.../image.png)
-    const imageExtensions = /\.(png|jpg|jpeg|gif|webp)$/i;
-    const barePathRegex = /(\/(?:Users|tmp|var|home)[^\s"'`\]>)]+\.(?:png|jpg|jpeg|gif|webp))/gi;
-    let bp;
-    while ((bp = barePathRegex.exec(cleanText)) !== null) {
-      const p = bp[1];
-      if (!localMediaPaths.includes(p) && fs.existsSync(p)) {
-        localMediaPaths.push(p);
-        console.log(`[IMAGE] Detected bare image path in reply: ${p}`);
-      }
-    }
+    payload = { ok: true, ...(await handler(body, key)) };
+  } catch (e) {
+    status = e instanceof HttpError ? e.status : 500;
+    // A send that failed for good was dead-lettered; say where it went
+    payload = { ok: false, error: e.message, ...(e.deadLetterId ? { dead_letter_id: e.deadLetterId } : {}) };
+    if (status >= 500) log.error("API", `${operation} error`, { err: e });
+  }
+  auditApiCall({ ...audit, status, ...(payload.ok ? {} : { error: payload.error, dead_letter_id: payload.dead_letter_id }) });
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+}
 
-    const trimmed = cleanText;
-    if (!trimmed || trimmed === "NO_REPLY" || trimmed.endsWith("NO_REPLY")) {
-      if (placeholderId) {
-        try {
-          await client.im.message.delete({ path: { message_id: placeholderId } });
-        } catch {}
-      }
-      return;
-    }
+// ─── Health ──────────────────────────────────────────────────────
+//
+// /health/live only says the process is serving requests. /health (and its
+// alias /health/ready) checks what a turn needs end to end: a gateway that
+// accepts turns, a working Lark tenant token and a writable media dir. Token
+// checks are cached so frequent probes don't hit Lark.
 
-    // Send text reply
-    if (placeholderId) {
-      try {
-        await client.im.message.patch({
-          path: { message_id: placeholderId },
-          data: { content: JSON.stringify({ text: trimmed }) },
-        });
-      } catch {
-        // patch failed (230001: not a card) — delete placeholder and send new message
-        try { await client.im.message.delete({ path: { message_id: placeholderId } }); } catch {}
-        await client.im.message.create({
-          params: { receive_id_type: "chat_id" },
-          data: { receive_id: chatId, msg_type: "text", content: JSON.stringify({ text: trimmed }) },
-        });
-      }
-    } else {
-      await client.im.message.create({
-        params: { receive_id_type: "chat_id" },
-        data: { receive_id: chatId, msg_type: "text", content: JSON.stringify({ text: trimmed }) },
-      });
-    }
+const STARTED_AT = Date.now();
+const TOKEN_CHECK_TTL_MS = 60 * 1000;
+let tokenCheck = { at: 0, result: null };
 
-    // Send images if any
-    if (reply.mediaUrls && reply.mediaUrls.length > 0) {
-      for (const url of reply.mediaUrls) {
-        try {
-          // Download image from URL and upload to Larksuite
-          const tempPath = path.join(MEDIA_DIR, `temp_${uuid()}.png`);
-          await downloadUrl(url, tempPath);
-          const imageKey = await uploadImage(tempPath);
-          if (imageKey) {
-            await sendImageMessage(chatId, imageKey);
-          }
-          // Clean up temp file
-          try { fs.unlinkSync(tempPath); } catch {}
-        } catch (e) {
-          console.error("[ERROR] Failed to send image:", e.message);
-        }
-      }
-    }
+const queueDepth = () => [...chatQueues.values()].reduce((n, q) => n + q.items.length + (q.activeIds ? 1 : 0), 0);
 
-    // Send local MEDIA: images (e.g. browser screenshots)
-    if (localMediaPaths.length > 0) {
-      for (const filePath of localMediaPaths) {
-        try {
-          if (fs.existsSync(filePath)) {
-            const imageKey = await uploadImage(filePath);
-            if (imageKey) {
-              await sendImageMessage(chatId, imageKey);
-              console.log(`[IMAGE] Sent local media: ${filePath}`);
-            }
-          } else {
-            console.warn(`[IMAGE] Local file not found: ${filePath}`);
-          }
-        } catch (e) {
-          console.error("[ERROR] Failed to send local media:", e.message);
-        }
-      }
-    }
+gauge("uptime_seconds", "Seconds since the bridge started", () => (Date.now() - STARTED_AT) / 1000);
+gauge("queue_depth", "Messages queued or running across all chats", queueDepth);
+gauge("outage_buffer_size", "Turns parked while the gateway is unavailable", () => outageBuffer.length);
+gauge("dead_letters", "Failed sends kept for replay", () => deadLetters.size);
+gauge("gateway_connected", "1 while the gateway connection is up", () => (gatewayReady ? 1 : 0));
+gauge("gateway_breaker_state", "1 for the current circuit breaker state", () =>
+  ["closed", "half_open", "open"].map((state) => [{ state }, gatewayBreaker.state === state ? 1 : 0]), ["state"]);
 
-    // Mark as delivered so poller won't re-send
-    const sk = suffix ? `larksuite:${chatId}:${suffix}` : `larksuite:${chatId}`;
-    lastDeliveredTimestamp.set(`agent:main:${sk}`, Date.now());
-    console.log(`[MSG] Sent reply to ${chatId}`);
+async function checkLarkToken() {
+  if (tokenCheck.result && Date.now() - tokenCheck.at < TOKEN_CHECK_TTL_MS) return tokenCheck.result;
+  let result;
+  try {
+    const token = await client.tokenManager.getTenantAccessToken();
+    result = token ? { ok: true } : { ok: false, error: "no tenant access token" };
   } catch (e) {
-    console.error("[ERROR] message handler:", e);
-  } finally {
-    if (_chatId) activeHandleSessions.delete(_chatId);
+    result = { ok: false, error: e.message };
   }
+  tokenCheck = { at: Date.now(), result };
+  return result;
 }
 
-// Download URL to file
-async function downloadUrl(url, destPath) {
-  return new Promise((resolve, reject) => {
-    const protocol = url.startsWith('https') ? https : http;
-    const file = fs.createWriteStream(destPath);
-    protocol.get(url, (response) => {
-      response.pipe(file);
-      file.on('finish', () => {
-        file.close();
-        resolve();
-      });
-    }).on('error', (err) => {
-      fs.unlink(destPath, () => {});
-      reject(err);
-    });
+function checkMediaDir() {
+  try {
+    fs.accessSync(MEDIA_DIR, fs.constants.W_OK);
+    return { ok: true, path: MEDIA_DIR };
+  } catch (e) {
+    return { ok: false, path: MEDIA_DIR, error: e.code || e.message };
+  }
+}
+
+async function healthReport() {
+  const checks = {
+    gateway: { ok: gatewayAvailable(), connected: gatewayReady, breaker: gatewayBreaker.state },
+    larkToken: await checkLarkToken(),
+    mediaDir: checkMediaDir(),
+  };
+  return {
+    ok: Object.values(checks).every((c) => c.ok),
+    appId: APP_ID,
+    uptimeS: Math.round((Date.now() - STARTED_AT) / 1000),
+    checks,
+    queue: { depth: queueDepth(), chats: chatQueues.size, outageBuffer: outageBuffer.length },
+  };
+}
+
+// ─── Doctor ──────────────────────────────────────────────────────
+//
+// `openclaw-lark-bridge doctor` checks the setup without serving anything:
+// config, Lark credentials, the gateway handshake, media dirs and webhook
+// settings. It prints one line per finding and exits 1 if any check failed.
+// Invalid config never gets this far; it is reported as FATAL at load.
+
+const DOCTOR_TIMEOUT_MS = 8000;
+const DOCTOR_MARKS = { ok: "✅", warn: "⚠️ ", fail: "❌" };
+
+const timeLimit = (promise, what) => Promise.race([
+  promise,
+  sleep(DOCTOR_TIMEOUT_MS).then(() => { throw new Error(`${what} timed out after ${DOCTOR_TIMEOUT_MS / 1000}s`); }),
+]);
+
+function doctorConfig() {
+  const counts = { file: 0, env: 0 };
+  for (const source of Object.values(loadedConfig.sources)) if (source in counts) counts[source] += 1;
+  const where = loadedConfig.fileLoaded ? CONFIG_PATH : `no config file (${CONFIG_PATH})`;
+  const findings = [["ok", `${where}; ${counts.file} setting(s) from the file, ${counts.env} from env`]];
+  const fileSecrets = Object.keys(CONFIG_SCHEMA)
+    .filter((key) => CONFIG_SCHEMA[key].secret && loadedConfig.sources[key] === "file");
+  if (fileSecrets.length && process.platform !== "win32" && fs.statSync(CONFIG_PATH).mode & 0o077) {
+    findings.push(["warn", `${CONFIG_PATH} holds ${fileSecrets.join(", ")} but is readable by other users (chmod 600)`]);
+  }
+  return findings;
+}
+
+async function doctorLark() {
+  const token = await timeLimit(checkLarkToken(), "tenant token request");
+  if (!token.ok) return [["fail", `${setting("lark.domain")}: cannot get a tenant access token for ${APP_ID} (${token.error})`]];
+  try {
+    const res = await timeLimit(client.request({ method: "GET", url: "/open-apis/bot/v3/info" }), "bot info request");
+    if (!res?.bot?.open_id) throw new Error(res?.msg || "no open_id in response");
+    return [["ok", `${setting("lark.domain")}: tenant token OK, bot "${res.bot.app_name || "unnamed"}" (${res.bot.open_id})`]];
+  } catch (e) {
+    return [["fail", `tenant token OK but bot info failed (${e.message}); is the bot capability enabled?`]];
+  }
+}
+
+async function doctorGateway() {
+  connectGateway();
+  try {
+    const payload = await gatewayRequest("sessions.list", { activeMinutes: 1 }, DOCTOR_TIMEOUT_MS);
+    return [["ok", `${GATEWAY_URL}: handshake OK as ${setting("gateway.platform")}, ${payload?.sessions?.length ?? 0} active session(s)`]];
+  } catch (e) {
+    return [["fail", `${GATEWAY_URL}: ${e.message === "timeout" ? "no handshake within the time limit" : e.message}`]];
+  }
+}
+
+// A directory that doesn't exist yet is fine as long as it can be created
+function doctorDir(label, dir) {
+  let existing = dir;
+  while (!fs.existsSync(existing) && path.dirname(existing) !== existing) existing = path.dirname(existing);
+  try {
+    fs.accessSync(existing, fs.constants.W_OK);
+    return existing === dir ? ["ok", `${label} ${dir} is writable`] : ["warn", `${label} ${dir} does not exist yet; it will be created`];
+  } catch (e) {
+    return ["fail", `${label} ${dir} is not writable (${e.code || e.message})`];
+  }
+}
+
+async function doctorWebhook() {
+  const findings = [];
+  if (!ENCRYPT_KEY) findings.push(["warn", "no encrypt key: requests can't be signature-checked or decrypted"]);
+  if (!VERIFICATION_TOKEN) findings.push(["warn", "no verification token: legacy card callbacks can't be verified"]);
+  const portProblem = await new Promise((done) => {
+    const probe = http.createServer();
+    probe.once("error", (e) => done(e));
+    probe.listen(WEBHOOK_PORT, () => probe.close(() => done(null)));
   });
+  if (portProblem?.code === "EADDRINUSE") findings.push(["warn", `port ${WEBHOOK_PORT} is in use (is the bridge already running?)`]);
+  else if (portProblem) findings.push(["fail", `port ${WEBHOOK_PORT}: ${portProblem.message}`]);
+  findings.push(["ok", [
+    `port ${WEBHOOK_PORT}`,
+    `strict ${WEBHOOK_STRICT ? "on" : "off"}`,
+    `${apiKeys.length} API key(s)`,
+    `${agentRoutes.length} agent route(s)`,
+  ].join(", ")]);
+  return findings;
+}
+
+async function runDoctor() {
+  const checks = [
+    ["config", async () => doctorConfig()],
+    ["lark", doctorLark],
+    ["gateway", doctorGateway],
+    ["media", async () => [doctorDir("media dir", MEDIA_DIR), doctorDir("workspace media dir", WORKSPACE_MEDIA_DIR)]],
+    ["webhook", doctorWebhook],
+  ];
+  let failed = 0;
+  for (const [name, check] of checks) {
+    let findings;
+    try {
+      findings = await check();
+    } catch (e) {
+      findings = [["fail", e.message]];
+    }
+    for (const [status, detail] of findings) {
+      if (status === "fail") failed += 1;
+      process.stdout.write(`${DOCTOR_MARKS[status]} ${name.padEnd(8)} ${detail}\n`);
+    }
+  }
+  process.stdout.write(failed ? `\n${failed} check(s) failed\n` : "\nAll checks passed\n");
+  return failed ? 1 : 0;
 }
 
 // ─── HTTP Webhook Server ─────────────────────────────────────────
 
-const server = http.createServer(async (req, res) => {
-  // Health check
-  if (req.method === "GET" && req.url === "/health") {
+// Every request gets a trace ID that its log lines — and any turns it
+// queues — carry
+const server = http.createServer((req, res) =>
+  withLogContext({ traceId: newTraceId() }, () => handleHttpRequest(req, res)));
+
+async function handleHttpRequest(req, res) {
+  // Liveness: the process is up and serving
+  if (req.method === "GET" && req.url === "/health/live") {
     res.writeHead(200, { "Content-Type": "application/json" });
-    res.end(JSON.stringify({ ok: true, appId: APP_ID }));
+    res.end(JSON.stringify({ ok: true, uptimeS: Math.round((Date.now() - STARTED_AT) / 1000) }));
+    return;
+  }
+
+  // Readiness: gateway, Lark token, media dir
+  if (req.method === "GET" && (req.url === "/health" || req.url === "/health/ready")) {
+    const report = await healthReport();
+    res.writeHead(report.ok ? 200 : 503, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(report));
+    return;
+  }
+
+  // Prometheus metrics
+  if (req.method === "GET" && req.url === "/metrics") {
+    const token = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "")?.[1] || "";
+    if (METRICS_TOKEN && !crypto.timingSafeEqual(sha256(token.trim()), sha256(METRICS_TOKEN))) {
+      res.writeHead(401, { "Content-Type": "text/plain" });
+      res.end("unauthorized");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+    res.end(renderMetrics());
     return;
   }
 
   // API: Send image to a Lark chat
   if (req.method === "POST" && req.url === "/api/send-image") {
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    try {
-      const { chat_id, file_path, text } = JSON.parse(Buffer.concat(chunks).toString("utf8"));
-      if (!chat_id || !file_path) {
-        res.writeHead(400, { "Content-Type": "application/json" });
-        res.end(JSON.stringify({ ok: false, error: "chat_id and file_path required" }));
-        return;
-      }
-      const imageKey = await uploadImage(file_path);
-      if (!imageKey) {
-        res.writeHead(500, { "Content-Type": "application/json" });
-        res.end(JSON.stringify({ ok: false, error: "Failed to upload image" }));
-        return;
+    await handleApiRequest(req, res, "send-image", async ({ chat_id, file_path }) => {
+      if (!chat_id || !file_path) throw new HttpError(400, "chat_id and file_path required");
+      const realPath = resolveApiFilePath(file_path);
+      const imageKey = await uploadImage(realPath);
+      if (!imageKey) throw new HttpError(500, "Failed to upload image");
+      try {
+        await sendMessage(chat_id, { msg_type: "image", content: JSON.stringify({ image_key: imageKey }) });
+      } catch (e) {
+        throw Object.assign(new HttpError(502, `Failed to send image: ${e.message}`), { deadLetterId: e.deadLetterId });
       }
-      await sendImageMessage(chat_id, imageKey, text || "");
-      console.log(`[API] Sent image to ${chat_id}: ${file_path}`);
-      res.writeHead(200, { "Content-Type": "application/json" });
-      res.end(JSON.stringify({ ok: true, image_key: imageKey }));
-    } catch (e) {
-      console.error("[API] send-image error:", e.message);
-      res.writeHead(500, { "Content-Type": "application/json" });
-      res.end(JSON.stringify({ ok: false, error: e.message }));
-    }
+      log.info("API", `Sent image to ${chat_id}: ${realPath}`);
+      return { image_key: imageKey };
+    });
     return;
   }
 
   // API: Send text message to a Lark chat
   if (req.method === "POST" && req.url === "/api/send-text") {
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    try {
-      const { chat_id, text } = JSON.parse(Buffer.concat(chunks).toString("utf8"));
-      if (!chat_id || !text) {
-        res.writeHead(400, { "Content-Type": "application/json" });
-        res.end(JSON.stringify({ ok: false, error: "chat_id and text required" }));
-        return;
-      }
-      await client.im.message.create({
-        params: { receive_id_type: "chat_id" },
-        data: {
-          receive_id: chat_id,
-          msg_type: "text",
-          content: JSON.stringify({ text }),
-        },
-      });
-      console.log(`[API] Sent text to ${chat_id}`);
-      res.writeHead(200, { "Content-Type": "application/json" });
-      res.end(JSON.stringify({ ok: true }));
-    } catch (e) {
-      console.error("[API] send-text error:", e.message);
-      res.writeHead(500, { "Content-Type": "application/json" });
-      res.end(JSON.stringify({ ok: false, error: e.message }));
-    }
+    await handleApiRequest(req, res, "send-text", async ({ chat_id, text }) => {
+      if (!chat_id || !text) throw new HttpError(400, "chat_id and text required");
+      await sendReply(chat_id, text);
+      log.info("API", `Sent text to ${chat_id}`);
+      return {};
+    });
+    return;
+  }
+
+  // API: Dead-letter queue — list, replay or drop messages that failed to send
+  if (req.url.startsWith("/api/dead-letters")) {
+    const action = { "GET /api/dead-letters": "list", "POST /api/dead-letters/replay": "replay", "POST /api/dead-letters/drop": "drop" }[`${req.method} ${req.url.split("?")[0]}`];
+    await handleApiRequest(req, res, "dead-letters", async ({ ids }, key) => {
+      if (!action) throw new HttpError(404, "Not Found");
+      const visible = listDeadLetters((chatId) => allows(key.chats, chatId));
+      if (action === "list") return { dead_letters: visible };
+      const wanted = ids === "all" ? visible.map((d) => d.id) : Array.isArray(ids) ? ids : [];
+      if (wanted.length === 0) throw new HttpError(400, "ids (array or \"all\") required");
+      const allowed = wanted.filter((id) => visible.some((d) => d.id === id));
+      if (allowed.length !== wanted.length) throw new HttpError(404, "unknown or inaccessible dead letter id");
+      return action === "drop" ? { dropped: dropDeadLetters(allowed) } : await replayDeadLetters(allowed);
+    });
     return;
   }
 
@@ -792,277 +4138,381 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  const isCardCallback = req.url.split("?")[0] === "/webhook/card";
+  const body = await readLarkRequest(req, res, { card: isCardCallback });
+  if (!body) return;
+
+  // Card button clicks: legacy callbacks on /webhook/card, or the
+  // card.action.trigger event on either URL
+  const eventType = body?.header?.event_type || body?.event?.type;
+  webhookEventsTotal.inc({
+    type: isCardCallback && !eventType ? "card.callback"
+      : eventHandlers.has(eventType) || eventType === "card.action.trigger" ? eventType
+      : "other",
+  });
+  if (isCardCallback || eventType === "card.action.trigger") {
+    let result = {};
+    try {
+      result = await handleCardAction(body);
+    } catch (e) {
+      log.error("ERROR", "Card action failed", { err: e, stack: e.stack });
+    }
+    const legacy = !body?.schema;
+    const response = legacy
+      ? result.card || {}
+      : {
+          ...(result.toast ? { toast: { type: "info", content: result.toast } } : {}),
+          ...(result.card ? { card: { type: "raw", data: result.card } } : {}),
+        };
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(response));
+    return;
+  }
+
+  // Handle event (asynchronously, after acknowledging it)
+  if (body?.event) {
+    log.info("EVENT", eventType);
+    dispatchEvent(eventType, body.event, body.header);
+  }
+
+  res.writeHead(200, { "Content-Type": "application/json" });
+  res.end(JSON.stringify({ ok: true }));
+}
+
+// Read, verify and decrypt a Lark event or card callback request. Answers
+// URL verification and rejections itself and returns null; otherwise returns
+// the decrypted body.
+async function readLarkRequest(req, res, { card = false } = {}) {
+  const reject = (status, text) => {
+    res.writeHead(status, { "Content-Type": "text/plain" });
+    res.end(text);
+    return null;
+  };
+
   // Read body
-  const chunks = [];
-  for await (const chunk of req) {
-    chunks.push(chunk);
+  let bodyBuffer;
+  try {
+    bodyBuffer = await readBody(req, WEBHOOK_MAX_BODY_BYTES);
+  } catch (e) {
+    return reject(e.status || 400, e.message);
   }
-  const bodyBuffer = Buffer.concat(chunks);
   const bodyText = bodyBuffer.toString("utf8");
 
   let body;
   try {
     body = JSON.parse(bodyText);
   } catch {
-    res.writeHead(400, { "Content-Type": "text/plain" });
-    res.end("Invalid JSON");
-    return;
+    return reject(400, "Invalid JSON");
+  }
+
+  // Legacy card callbacks are neither encrypted nor schema 2.0; they are
+  // signed with the verification token instead
+  const legacyCard = card && !body?.encrypt && !body?.schema;
+
+  if (WEBHOOK_STRICT && !body?.encrypt && !legacyCard) {
+    log.warn("WEBHOOK", "Rejected unencrypted webhook request (strict mode)");
+    return reject(401, "Encrypted request required");
   }
 
+  // Check the signature against the raw body before decrypting anything. A
+  // signed request that fails is rejected outright. An unsigned one (strict
+  // mode) can only be the URL verification handshake, which Lark doesn't
+  // sign: it is decrypted to recognise that, and every other outcome —
+  // including a decryption failure — gets the same 401, so the decryption
+  // step can't be probed as a padding oracle.
+  const signatureError = checkWebhookSignature(req.headers, bodyBuffer, { legacyCard });
+  const rejectSignature = () => {
+    log.warn("WEBHOOK", `Rejected ${card ? "card callback" : "webhook request"}: ${signatureError}`);
+    return reject(401, "Invalid signature");
+  };
+  if (signatureError && req.headers["x-lark-signature"]) return rejectSignature();
+
   // Handle encrypted data
   if (body?.encrypt && ENCRYPT_KEY) {
     try {
       const decrypted = decryptAES(ENCRYPT_KEY, body.encrypt);
       body = JSON.parse(decrypted);
-      console.log("[INFO] Decrypted request successfully");
+      log.debug("WEBHOOK", "Decrypted request");
     } catch (e) {
-      console.error("[ERROR] Failed to decrypt:", e.message);
-      res.writeHead(400, { "Content-Type": "text/plain" });
-      res.end("Decryption failed");
-      return;
+      if (signatureError) return rejectSignature();
+      log.error("WEBHOOK", "Failed to decrypt", { err: e });
+      return reject(400, "Decryption failed");
     }
   }
+  if (signatureError && body?.type !== "url_verification") return rejectSignature();
 
-  // URL verification challenge
-  if (body?.type === "url_verification") {
-    console.log("[INFO] URL verification challenge received");
-    res.writeHead(200, { "Content-Type": "application/json" });
-    res.end(JSON.stringify({ challenge: body.challenge }));
-    return;
-  }
+  annotateLog({ eventId: body?.header?.event_id });
 
-  // Verify token if configured
-  if (VERIFICATION_TOKEN && body?.token && body.token !== VERIFICATION_TOKEN) {
-    console.warn("[WARN] Token mismatch");
-    res.writeHead(401, { "Content-Type": "text/plain" });
-    res.end("Invalid token");
-    return;
+  // Verify token if configured (schema 2.0 events carry it in header.token)
+  const token = body?.header?.token ?? body?.token;
+  if (VERIFICATION_TOKEN && token !== VERIFICATION_TOKEN) {
+    log.warn("WEBHOOK", `Token ${token ? "mismatch" : "missing"}`);
+    return reject(401, "Invalid token");
   }
 
-  // Handle event
-  if (body?.event) {
-    const eventType = body?.header?.event_type || body?.event?.type;
-    console.log(`[EVENT] ${eventType}`);
-    
-    if (eventType === "im.message.receive_v1") {
-      // Process async
-      setImmediate(() => handleMessage(body.event));
-    }
+  // URL verification challenge (not signed; in strict mode it had to decrypt)
+  if (body?.type === "url_verification") {
+    log.info("WEBHOOK", `URL verification challenge received${card ? " (card callback)" : ""}`);
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ challenge: body.challenge }));
+    return null;
   }
 
-  res.writeHead(200, { "Content-Type": "application/json" });
-  res.end(JSON.stringify({ ok: true }));
-});
+  return body;
+}
 
 // ─── Start ───────────────────────────────────────────────────────
 
-server.listen(WEBHOOK_PORT, () => {
-  console.log(`[OK] Larksuite bridge started (with image support)`);
-  console.log(`    App ID: ${APP_ID}`);
-  console.log(`    Webhook: http://localhost:${WEBHOOK_PORT}`);
-  console.log(`    Gateway: ws://127.0.0.1:${GATEWAY_PORT}`);
-  console.log(`    Agent: ${CLAWDBOT_AGENT_ID}`);
-  console.log("");
-  console.log("Waiting for messages from Larksuite...");
-
-  // Start session poller for async replies (subagent completions, etc.)
-  startSessionPoller();
-});
+if (CLI_COMMAND === "doctor") {
+  runDoctor().then((code) => process.exit(code));
+} else {
+  // Ensure media directory exists
+  if (!fs.existsSync(MEDIA_DIR)) {
+    fs.mkdirSync(MEDIA_DIR, { recursive: true });
+  }
 
-// ─── Session Poller (catch async replies) ────────────────────────
+  process.on("SIGHUP", reloadConfig);
 
-const POLL_INTERVAL_MS = parseInt(process.env.POLL_INTERVAL_MS || "15000"); // 15s default
+  server.listen(WEBHOOK_PORT, () => {
+    log.info("OK", "Larksuite bridge started, waiting for messages", {
+      appId: APP_ID,
+      webhook: `http://localhost:${WEBHOOK_PORT}`,
+      gateway: `ws://127.0.0.1:${GATEWAY_PORT}`,
+      agent: CLAWDBOT_AGENT_ID,
+      agentRoutes: agentRoutes.length,
+    });
 
-// One-shot WebSocket request to gateway
-function gatewayRequest(method, params = {}, timeoutMs = 10000) {
-  return new Promise((resolve, reject) => {
-    const ws = new WebSocket(`ws://127.0.0.1:${GATEWAY_PORT}`);
-    const timer = setTimeout(() => { try { ws.close(); } catch {} reject(new Error("timeout")); }, timeoutMs);
-    let connected = false;
-    const reqId = `poll-${Date.now()}`;
-
-    ws.on("open", () => {});
-    ws.on("error", (e) => { clearTimeout(timer); reject(e); });
-    ws.on("close", () => { if (!connected) { clearTimeout(timer); reject(new Error("closed")); } });
-    ws.on("message", (raw) => {
-      let msg;
-      try { msg = JSON.parse(raw.toString()); } catch { return; }
-
-      if (msg.type === "event" && msg.event === "connect.challenge") {
-        ws.send(JSON.stringify({
-          type: "req", id: "connect", method: "connect",
-          params: {
-            minProtocol: 3, maxProtocol: 3,
-            client: { id: "gateway-client", version: "0.2.0", platform: "macos", mode: "backend" },
-            role: "operator", scopes: ["operator.read", "operator.write"],
-            auth: { token: GATEWAY_TOKEN },
-            locale: "en-US", userAgent: "larksuite-poller",
-          },
-        }));
-        return;
-      }
+    connectGateway();
+    resolveBotIdentity();
 
-      if (msg.type === "res" && msg.id === "connect") {
-        if (!msg.ok) { clearTimeout(timer); ws.close(); reject(new Error(`connect failed: ${JSON.stringify(msg.error)}`)); return; }
-        connected = true;
-        ws.send(JSON.stringify({ type: "req", id: reqId, method, params }));
-        return;
-      }
+    // Start session poller for async replies (subagent completions, etc.)
+    startSessionPoller();
 
-      if (msg.type === "res" && msg.id === reqId) {
-        clearTimeout(timer);
-        ws.close();
-        if (msg.ok) resolve(msg.payload);
-        else reject(new Error(msg.error?.message || "request failed"));
-      }
-    });
+    sweepInboundFiles();
+    setInterval(sweepInboundFiles, INBOUND_SWEEP_INTERVAL_MS);
   });
 }
-const lastDeliveredTimestamp = new Map(); // sessionKey → last delivered message timestamp
 
-async function pollSessions() {
-  try {
-    // Query gateway for active larksuite sessions via WebSocket
-    const data = await gatewayRequest("sessions.list", { activeMinutes: 30 });
-    if (!data?.sessions) return;
+// ─── Async Delivery (subagent completions, etc.) ─────────────────
+//
+// Replies that arrive outside handleMessage (subagent announcements, cron
+// runs, …) are picked up from gateway chat/agent events for larksuite
+// sessions. Each session keeps a cursor (the gateway's timestamp of the last
+// transcript message handled — never the bridge's own clock), so every new
+// assistant message is delivered once and in order. Polling `sessions.list` is only a fallback for when the event stream
+// isn't live.
 
-    for (const session of data.sessions) {
-      const sk = session.key;
-      if (!sk || !sk.startsWith("agent:main:larksuite:")) continue;
+const POLL_INTERVAL_MS = setting("gateway.pollIntervalMs");
+const ASYNC_DELIVERY = setting("gateway.asyncDelivery"); // "events" | "poll"
+const TRANSCRIPT_TAIL = 50;
+const MAX_DELIVERY_ATTEMPTS = 3;
+const BRIDGE_STARTED_AT = Date.now();
+
+const CURSOR_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// qualified sessionKey → timestamp of last handled transcript message
+const sessionCursors = registerState("sessionCursors", new Map(), { ttlMs: CURSOR_TTL_MS });
+const sessionSyncs = new Map();      // qualified sessionKey → in-flight sync promise
+const deliveryAttempts = new Map();  // qualified sessionKey → failed attempts for the message at the cursor
 
-      // Extract chatId from session key: agent:main:larksuite:{chatId}[:suffix]
-      const parts = sk.split(":");
-      if (parts.length < 4) continue;
-      const chatId = parts[3];
+// chat.send gets fully qualified keys (see Agent Routing); a bare key —
+// e.g. in state saved by older versions — belongs to the default agent
+function qualifySessionKey(sessionKey) {
+  return sessionKey.startsWith("agent:") ? sessionKey : `agent:${CLAWDBOT_AGENT_ID}:${sessionKey}`;
+}
 
-      // Skip if currently being handled by handleMessage
-      if (activeHandleSessions.has(chatId)) continue;
+// agent:{agentId}:larksuite:{chatId}[:suffix] → chatId
+function chatIdFromSessionKey(sessionKey) {
+  const m = /^agent:[^:]+:larksuite:([^:]+)/.exec(qualifySessionKey(sessionKey || ""));
+  return m ? m[1] : null;
+}
 
-      // Check if session was updated since last delivery
-      const prevTs = lastDeliveredTimestamp.get(sk) || 0;
-      if (session.updatedAt <= prevTs) continue;
+function transcriptText(message) {
+  if (typeof message.content === "string") return message.content;
+  let text = "";
+  for (const part of (message.content || [])) {
+    if (part.type === "text") text += part.text;
+  }
+  return text;
+}
 
-      // Fetch last message via a lightweight chat.send with a status query
-      // Instead, use the inputTokens change as a signal — if inputTokens grew, there's likely a new reply
-      // Simpler: just send an empty ping to get the latest reply via WebSocket stream
-      // Actually simplest: use sessions.list updatedAt + track what we already sent
+// Mark everything up to `ts` as handled
+function advanceSessionCursor(sessionKey, ts) {
+  const sk = qualifySessionKey(sessionKey);
+  if (ts > (sessionCursors.get(sk) || 0)) {
+    sessionCursors.set(sk, ts);
+    deliveryAttempts.delete(sk);
+    saveStateSoon();
+  }
+}
 
-      // We detected a session update we haven't delivered. 
-      // Use a WebSocket stream to fetch the latest assistant reply
-      try {
-        const reply = await fetchLatestReply(sk);
-        if (!reply || !reply.text) { lastDeliveredTimestamp.set(sk, session.updatedAt); continue; }
+// A run handleMessage answered itself: move the cursor to that run's own
+// final transcript message, as timestamped by the gateway. Anything else
+// written meanwhile (a subagent announcement landing during the turn) stays
+// ahead of the cursor for the next sync. The run is found by its prompt (the
+// last user message starting with it) and, when there is one, the assistant
+// message matching the reply text; otherwise (aborted, failed) the run is
+// covered up to the next user message.
+async function advanceCursorPastRun(sessionKey, { prompt = "", replyText = "" }) {
+  const sk = qualifySessionKey(sessionKey);
+  let messages;
+  try {
+    const payload = await gatewayRequest("sessions.transcript", { sessionKey: sk, tail: TRANSCRIPT_TAIL }, 8000);
+    messages = (payload?.messages || [])
+      .filter((msg) => typeof msg.timestamp === "number")
+      .sort((a, b) => a.timestamp - b.timestamp);
+  } catch (e) {
+    log.warn("ASYNC", `Could not read ${sk} to move its cursor past the reply`, { err: e });
+    return;
+  }
+  const textOf = (msg) => transcriptText(msg).trim();
+  const wantPrompt = prompt.trim();
+  const wantReply = replyText.trim();
+  let start = -1;
+  for (let i = messages.length - 1; i >= 0 && wantPrompt; i--) {
+    if (messages[i].role === "user" && textOf(messages[i]).startsWith(wantPrompt)) { start = i; break; }
+  }
+  let end = -1;
+  if (start >= 0) {
+    let last = start;
+    while (last + 1 < messages.length && messages[last + 1].role !== "user") last += 1;
+    const own = wantReply ? messages.slice(start + 1, last + 1).findIndex((msg) => msg.role === "assistant" && textOf(msg) === wantReply) : -1;
+    end = own >= 0 ? start + 1 + own : last;
+  } else if (wantReply) {
+    end = messages.findLastIndex((msg) => msg.role === "assistant" && textOf(msg) === wantReply);
+  }
+  if (end < 0) {
+    // Can't place the run; don't risk sending the reply twice
+    end = messages.length - 1;
+    log.debug("ASYNC", `Run not found in ${sk}; cursor moved to its newest message`);
+  }
+  if (end >= 0) advanceSessionCursor(sk, messages[end].timestamp);
+}
 
-        const text = reply.text.trim();
-        if (!text || text === "NO_REPLY" || text.endsWith("NO_REPLY")) {
-          lastDeliveredTimestamp.set(sk, session.updatedAt);
-          continue;
-        }
+async function deliverAsyncReply(to, text) {
+  // Extract and send media files referenced in the text
+  const { text: cleanText, paths } = extractReplyMedia(text, { stripBarePaths: true });
+  for (const filePath of paths) {
+    try {
+      if (await sendLocalMedia(to, filePath)) log.info("ASYNC", `Sent media to ${chatOf(to)}: ${filePath}`);
+    } catch {}
+  }
 
-        // Extract and send images from text
-        const imageExtRegex = /(\/(?:Users|tmp|var|home)[^\s"'`\]>)]+\.(?:png|jpg|jpeg|gif|webp))/gi;
-        let imgMatch;
-        while ((imgMatch = imageExtRegex.exec(text)) !== null) {
-          const imgPath = imgMatch[1];
-          if (fs.existsSync(imgPath)) {
-            try {
-              const imageKey = await uploadImage(imgPath);
-              if (imageKey) {
-                await sendImageMessage(chatId, imageKey);
-                console.log(`[POLL] Sent image to ${chatId}: ${imgPath}`);
-              }
-            } catch {}
-          }
-        }
+  if (cleanText) {
+    await sendReply(to, cleanText);
+    log.info("ASYNC", `Delivered async reply to ${chatOf(to)}`, { text: cleanText });
+  }
+}
 
-        // Clean paths from text
-        let cleanText = text.replace(/MEDIA:\/[^\s]+/g, "").trim();
-        cleanText = cleanText.replace(/(\/(?:Users|tmp|var|home)[^\s"'`\]>)]+\.(?:png|jpg|jpeg|gif|webp))/gi, "").trim();
+// Deliver every assistant message newer than the session's cursor, in order.
+// Syncs for the same session are serialized; each is traced on its own.
+function syncSession(sessionKey) {
+  const sk = qualifySessionKey(sessionKey);
+  const prev = sessionSyncs.get(sk) || Promise.resolve();
+  const trace = { traceId: newTraceId(), chatId: chatIdFromSessionKey(sk), sessionKey: sk };
+  const next = withLogContext(trace, () => prev.then(() => runSessionSync(sk)).catch((e) => {
+    if (e.message !== "timeout" && e.code !== "ECONNREFUSED") log.error("ASYNC", `Sync failed for ${sk}`, { err: e });
+  }));
+  sessionSyncs.set(sk, next);
+  next.then(() => { if (sessionSyncs.get(sk) === next) sessionSyncs.delete(sk); });
+  return next;
+}
 
-        if (cleanText) {
-          await client.im.message.create({
-            params: { receive_id_type: "chat_id" },
-            data: { receive_id: chatId, msg_type: "text", content: JSON.stringify({ text: cleanText }) },
-          });
-          console.log(`[POLL] Delivered async reply to ${chatId}: "${cleanText.substring(0, 60)}..."`);
-        }
+async function runSessionSync(sk) {
+  const chatId = chatIdFromSessionKey(sk);
+  if (!chatId) return;
+  // Nowhere to post; skip what piles up meanwhile rather than deliver it later
+  if (isDeparted(chatId)) {
+    sessionCursors.set(sk, Date.now());
+    saveStateSoon();
+    return;
+  }
+
+  // handleMessage delivers its own reply; look again once it's done
+  if (isChatBusy(chatId)) {
+    setTimeout(() => syncSession(sk), 2000);
+    return;
+  }
 
-        lastDeliveredTimestamp.set(sk, session.updatedAt);
+  const payload = await gatewayRequest("sessions.transcript", { sessionKey: sk, tail: TRANSCRIPT_TAIL }, 8000);
+  const cursor = sessionCursors.get(sk) ?? BRIDGE_STARTED_AT;
+  const fresh = (payload?.messages || [])
+    .filter((msg) => typeof msg.timestamp === "number" && msg.timestamp > cursor)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  for (const msg of fresh) {
+    const text = msg.role === "assistant" ? transcriptText(msg).trim() : "";
+    if (text && text !== "NO_REPLY" && !text.endsWith("NO_REPLY")) {
+      try {
+        await deliverAsyncReply(replyTargetForSession(chatId, sk), text);
+        asyncDeliveriesTotal.inc({ outcome: "delivered" });
       } catch (e) {
-        console.error(`[POLL] Failed to deliver to ${chatId}:`, e.message);
-        // Still update timestamp to avoid retry loops
-        lastDeliveredTimestamp.set(sk, session.updatedAt);
+        // Already retried by the dispatcher and kept for replay; move on
+        if (e.deadLetterId) {
+          asyncDeliveriesTotal.inc({ outcome: "dead_lettered" });
+          log.error("ASYNC", `Reply for ${chatId} failed and was dead-lettered as ${e.deadLetterId}`);
+          sessionCursors.set(sk, msg.timestamp);
+          deliveryAttempts.delete(sk);
+          saveStateSoon();
+          continue;
+        }
+        asyncDeliveriesTotal.inc({ outcome: "failed" });
+        const attempts = (deliveryAttempts.get(sk) || 0) + 1;
+        if (attempts < MAX_DELIVERY_ATTEMPTS) {
+          // Leave the cursor here so the next sync retries this message
+          deliveryAttempts.set(sk, attempts);
+          log.error("ASYNC", `Failed to deliver to ${chatId} (attempt ${attempts}/${MAX_DELIVERY_ATTEMPTS})`, { err: e });
+          return;
+        }
+        log.error("ASYNC", `Giving up on message for ${chatId} after ${attempts} attempts`, { err: e });
       }
     }
-  } catch (e) {
-    if (e.message !== "timeout" && e.code !== "ECONNREFUSED") console.error("[POLL] Error:", e.message);
+    sessionCursors.set(sk, msg.timestamp);
+    deliveryAttempts.delete(sk);
+    saveStateSoon();
   }
 }
 
-// Fetch latest assistant reply from a session by sending a no-op and reading the stream
-// This uses chat.send with a special __poll__ message that the agent will ignore
-async function fetchLatestReply(sessionKey) {
-  return new Promise((resolve, reject) => {
-    const ws = new WebSocket(`ws://127.0.0.1:${GATEWAY_PORT}`);
-    const timer = setTimeout(() => { try { ws.close(); } catch {} resolve(null); }, 8000);
-    let buf = "";
+function gatewayEventsLive() {
+  // The gateway emits periodic tick events, so a quiet stream means we
+  // aren't receiving events
+  return gatewayReady && Date.now() - gatewayLastEventAt < 2 * POLL_INTERVAL_MS;
+}
 
-    ws.on("error", () => { clearTimeout(timer); resolve(null); });
-    ws.on("close", () => { clearTimeout(timer); });
-    ws.on("message", (raw) => {
-      let msg;
-      try { msg = JSON.parse(raw.toString()); } catch { return; }
-
-      if (msg.type === "event" && msg.event === "connect.challenge") {
-        ws.send(JSON.stringify({
-          type: "req", id: "connect", method: "connect",
-          params: {
-            minProtocol: 3, maxProtocol: 3,
-            client: { id: "gateway-client", version: "0.2.0", platform: "macos", mode: "backend" },
-            role: "operator", scopes: ["operator.read", "operator.write"],
-            auth: { token: GATEWAY_TOKEN },
-            locale: "en-US", userAgent: "larksuite-poller",
-          },
-        }));
-        return;
-      }
+function onSessionEvent(event, p) {
+  if ((event !== "agent" && event !== "chat") || !p?.sessionKey) return;
+  if (!chatIdFromSessionKey(p.sessionKey)) return;
+  // Runs started by handleMessage are delivered there
+  if (p.runId && runSubscribers.has(p.runId)) return;
+  const finished = (p.stream === "lifecycle" && p.data?.phase === "end") || p.state === "final";
+  if (finished) withLogContext({ runId: p.runId }, () => syncSession(p.sessionKey));
+}
 
-      if (msg.type === "res" && msg.id === "connect") {
-        if (!msg.ok) { clearTimeout(timer); ws.close(); resolve(null); return; }
-        // Request session transcript/last message
-        ws.send(JSON.stringify({
-          type: "req", id: "history",
-          method: "sessions.transcript",
-          params: { sessionKey, tail: 1 },
-        }));
-        return;
-      }
+async function pollSessions({ force = false } = {}) {
+  if (!force && ASYNC_DELIVERY === "events" && gatewayEventsLive()) return;
+  try {
+    // Query gateway for active larksuite sessions
+    const data = await gatewayRequest("sessions.list", { activeMinutes: 30 });
+    if (!data?.sessions) return;
 
-      if (msg.type === "res" && msg.id === "history") {
-        clearTimeout(timer);
-        ws.close();
-        if (msg.ok && msg.payload?.messages?.length > 0) {
-          const lastMsg = msg.payload.messages[msg.payload.messages.length - 1];
-          if (lastMsg.role === "assistant") {
-            let text = "";
-            for (const part of (lastMsg.content || [])) {
-              if (part.type === "text") text += part.text;
-            }
-            resolve({ text, timestamp: lastMsg.timestamp });
-          } else {
-            resolve(null);
-          }
-        } else {
-          resolve(null);
-        }
-        return;
-      }
-    });
-  });
+    for (const session of data.sessions) {
+      const sk = session.key;
+      if (!sk || !chatIdFromSessionKey(sk)) continue;
+      if (session.updatedAt <= (sessionCursors.get(sk) ?? BRIDGE_STARTED_AT)) continue;
+      await syncSession(sk);
+    }
+  } catch (e) {
+    if (e.message !== "timeout" && e.code !== "ECONNREFUSED") log.error("POLL", "Session poll failed", { err: e });
+  }
 }
 
 function startSessionPoller() {
-  console.log(`[POLL] Session poller started (interval: ${POLL_INTERVAL_MS}ms)`);
+  if (ASYNC_DELIVERY === "events") {
+    gatewayEventListeners.add(onSessionEvent);
+    // Catch up on anything finished while the connection was down
+    gatewayConnectListeners.add(() => pollSessions({ force: true }));
+  }
+  log.info("POLL", `Async delivery: ${ASYNC_DELIVERY} (fallback poll interval: ${POLL_INTERVAL_MS}ms)`);
   setInterval(pollSessions, POLL_INTERVAL_MS);
   // Initial poll after 5s
   setTimeout(pollSessions, 5000);